@@ -40,7 +40,7 @@ function readHealthCache() {
 }
 
 const cache = readHealthCache();
-const agentId = cache?.agentId || "main";
+const agentId = process.argv[2] || cache?.agentId || "main";
 
 const res = spawnSync(
   "openclaw",
@@ -0,0 +1,36 @@
+// OpenClaw moved the per-provider sections from the top level under
+// `channels`, e.g. `telegram` -> `channels.telegram`
+const LEGACY_CHANNELS = [
+  "whatsapp",
+  "telegram",
+  "discord",
+  "slack",
+  "signal",
+  "imessage",
+];
+
+export const version = "2026.1.0";
+export const description = "move provider sections under channels";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export function applies(config) {
+  return LEGACY_CHANNELS.some((name) => isObject(config[name]));
+}
+
+export function migrate(config) {
+  const channels = isObject(config.channels) ? config.channels : {};
+  for (const name of LEGACY_CHANNELS) {
+    if (!isObject(config[name])) continue;
+    if (channels[name] !== undefined) {
+      throw new Error(
+        `both ${name} and channels.${name} are set; merge them by hand`,
+      );
+    }
+    channels[name] = config[name];
+    delete config[name];
+  }
+  config.channels = channels;
+  return config;
+}
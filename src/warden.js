@@ -3,11 +3,24 @@ import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
 import os from "node:os";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
 import { spawn } from "node:child_process";
 import crypto from "node:crypto";
-import { fileURLToPath } from "node:url";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { isDeepStrictEqual } from "node:util";
 import Ajv from "ajv";
 import addFormats from "ajv-formats";
+import {
+  applyEdits,
+  findNodeAtLocation,
+  modify,
+  parse as parseJsonc,
+  parseTree,
+  printParseErrorCode,
+} from "jsonc-parser";
+import { z } from "zod";
 
 const CWD = process.cwd();
 const DEFAULT_CONFIG_NAME = "warden.config.json";
@@ -16,6 +29,12 @@ const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const DAEMON_DIR = path.join(os.tmpdir(), "openclaw-warden");
 const DAEMON_PID = path.join(DAEMON_DIR, "warden.pid");
 const DAEMON_LOG = path.join(DAEMON_DIR, "warden.log");
+const CONTROL_SOCKET =
+  process.platform === "win32"
+    ? "\\\\.\\pipe\\openclaw-warden"
+    : path.join(DAEMON_DIR, "warden.sock");
+const CONTROL_TIMEOUT_MS = 5 * 1000;
+const CONTROL_LONG_TIMEOUT_MS = 15 * 60 * 1000;
 
 function resolveGlobalConfigDir() {
   if (process.platform === "win32") {
@@ -73,6 +92,7 @@ function getDefaultConfig() {
       repoConfig: "./config/openclaw.json",
       liveConfig: "~/.openclaw/openclaw.json",
       schemaFile: "./state/schema.json",
+      stateDir: "./state",
     },
     schema: {
       source: "git",
@@ -89,17 +109,68 @@ function getDefaultConfig() {
     },
     heartbeat: {
       intervalMinutes: 5,
-      waitSeconds: [30, 40, 50],
+      backoff: {
+        initialSeconds: 10,
+        factor: 2,
+        maxSeconds: 60,
+        attempts: 4,
+      },
+      schedule: {
+        jitterSeconds: 15,
+        failureIntervalMinutes: 1,
+        recoverySuccesses: 3,
+      },
       checkCommand: "node ./src/check-health.js",
       agentProbe: {
         enabled: true,
         fallbackAgentId: "main",
-        command: "node ./src/check-agent-probe.js",
+        command: "node ./src/check-agent-probe.js {agentId}",
       },
       notifyOnRestart: true,
       notifyCommand:
         'openclaw agent --agent {agentId} -m "[warden] gateway restarted after failed health check" --channel last --deliver',
       restartCommand: "openclaw gateway restart",
+      circuitBreaker: {
+        enabled: true,
+        maxRestarts: 3,
+        windowMinutes: 60,
+        escalateCommand:
+          'openclaw agent --agent {agentId} -m "[warden] ESCALATION: gateway still failing after {restarts} restarts in {windowMinutes}m, automatic restarts paused" --channel last --deliver',
+      },
+    },
+    drift: {
+      enabled: false,
+      action: "warn",
+    },
+    notify: {
+      rateLimitMinutes: 15,
+      channels: [],
+    },
+    metrics: {
+      enabled: false,
+      host: "127.0.0.1",
+      port: 9477,
+    },
+    secretScan: {
+      enabled: true,
+      action: "block",
+      allowPaths: [],
+    },
+    watcher: {
+      pollSeconds: 10,
+      usePolling: false,
+    },
+    migrations: {
+      dir: "./migrations",
+    },
+    timeouts: { ...DEFAULT_TIMEOUTS },
+    rollback: {
+      enabled: false,
+      graceSeconds: 60,
+      intervalSeconds: 10,
+      healthyChecks: 3,
+      notifyCommand:
+        'openclaw agent --agent {agentId} -m "[warden] config {badRev} failed health check, rolled back to {goodRev}" --channel last --deliver',
     },
   };
 }
@@ -109,6 +180,33 @@ function nowIso() {
 }
 
 let logFilePath = null;
+// set for --json output so info lines don't end up in the report
+let infoToStderr = false;
+
+const DEFAULT_TIMEOUTS = {
+  checkSeconds: 60,
+  probeSeconds: 120,
+  restartSeconds: 120,
+  notifySeconds: 30,
+  schemaSeconds: 600,
+  gitSeconds: 120,
+  killGraceSeconds: 5,
+};
+
+function resolveTimeouts(config) {
+  const settings = { ...DEFAULT_TIMEOUTS, ...config?.timeouts };
+  return {
+    check: settings.checkSeconds * 1000,
+    probe: settings.probeSeconds * 1000,
+    restart: settings.restartSeconds * 1000,
+    notify: settings.notifySeconds * 1000,
+    schema: settings.schemaSeconds * 1000,
+    git: settings.gitSeconds * 1000,
+    killGrace: settings.killGraceSeconds * 1000,
+  };
+}
+
+let commandTimeouts = resolveTimeouts(null);
 
 async function appendLog(line) {
   if (!logFilePath) return;
@@ -122,7 +220,11 @@ async function appendLog(line) {
 
 function logInfo(msg) {
   const line = `[${nowIso()}] ${msg}`;
-  console.log(line);
+  if (infoToStderr) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
   void appendLog(line);
 }
 
@@ -163,6 +265,77 @@ async function readJson(filePath) {
   return JSON.parse(raw);
 }
 
+// .jsonc/.json5 managed configs may carry comments and trailing commas;
+// anything written to the live path is plain JSON
+function allowsComments(filePath) {
+  return /\.json[c5]$/i.test(filePath);
+}
+
+function parseConfigText(text, filePath) {
+  if (!allowsComments(filePath)) return JSON.parse(text);
+  const errors = [];
+  const value = parseJsonc(text, errors, { allowTrailingComma: true });
+  if (errors.length) {
+    const { line, column } = offsetToPosition(text, errors[0].offset);
+    const hint = /\.json5$/i.test(filePath)
+      ? " (JSON5 files take comments and trailing commas, not unquoted keys or single quotes)"
+      : "";
+    throw new Error(
+      `${printParseErrorCode(errors[0].error)} at line ${line} column ${column}${hint}`,
+    );
+  }
+  return value;
+}
+
+async function readConfigFile(filePath) {
+  return parseConfigText(await fsp.readFile(filePath, "utf8"), filePath);
+}
+
+function toLiveText(text, filePath) {
+  if (!allowsComments(filePath)) return text;
+  return `${JSON.stringify(parseConfigText(text, filePath), null, 2)}\n`;
+}
+
+// rewrites only the changed values so comments elsewhere survive
+function updateConfigText(text, next, filePath) {
+  const plain = `${JSON.stringify(next, null, 2)}\n`;
+  if (!allowsComments(filePath)) return plain;
+  const indent = /^([ \t]+)\S/m.exec(text)?.[1] || "  ";
+  const formattingOptions = {
+    insertSpaces: !indent.includes("\t"),
+    tabSize: indent.includes("\t") ? 1 : indent.length,
+    eol: text.includes("\r\n") ? "\r\n" : "\n",
+  };
+  const changes = diffJson(parseConfigText(text, filePath), next);
+  let out = text;
+  const apply = (segments, value, isArrayInsertion = false) => {
+    out = applyEdits(
+      out,
+      modify(out, segments, value, { formattingOptions, isArrayInsertion }),
+    );
+  };
+  try {
+    for (const entry of changes.filter((c) => c.kind !== "removed")) {
+      apply(
+        entry.path,
+        entry.after,
+        entry.kind === "added" && typeof entry.path.at(-1) === "number",
+      );
+    }
+    // back to front so array indexes stay valid
+    for (const entry of changes.filter((c) => c.kind === "removed").reverse()) {
+      apply(entry.path, undefined);
+    }
+    if (isDeepStrictEqual(parseConfigText(out, filePath), next)) return out;
+  } catch {
+    // fall through to a plain rewrite
+  }
+  logWarn(
+    `Could not keep the layout of ${filePath}; rewriting it as plain JSON.`,
+  );
+  return plain;
+}
+
 async function writeJson(filePath, value) {
   const data = JSON.stringify(value, null, 2);
   await fsp.writeFile(filePath, data, "utf8");
@@ -173,18 +346,61 @@ async function ensureDir(dirPath) {
 }
 
 async function fileSha256(filePath) {
-  const data = await fsp.readFile(filePath);
+  return sha256(await fsp.readFile(filePath));
+}
+
+function sha256(data) {
   return crypto.createHash("sha256").update(data).digest("hex");
 }
 
+function shellQuote(value) {
+  if (process.platform === "win32") return `"${value.replace(/"/g, '""')}"`;
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function escapeForShell(value, quote) {
+  if (!quote) return shellQuote(value);
+  if (process.platform === "win32") return value.replace(/"/g, '""');
+  if (quote === '"') return value.replace(/["\\$`]/g, "\\$&");
+  return value.replace(/'/g, "'\\''");
+}
+
 function formatCmd(template, vars) {
-  let out = template;
-  for (const [key, value] of Object.entries(vars)) {
-    out = out.replaceAll(`{${key}}`, String(value));
+  if (Array.isArray(template)) {
+    return template.map((arg) => renderTemplate(arg, vars));
+  }
+  // placeholders are escaped for the quoting context they appear in
+  const quotes = process.platform === "win32" ? ['"'] : ['"', "'"];
+  let out = "";
+  let quote = null;
+  for (let i = 0; i < template.length; i += 1) {
+    const ch = template[i];
+    const match = /^\{(\w+)\}/.exec(template.slice(i, i + 64));
+    if (match && Object.hasOwn(vars, match[1])) {
+      out += escapeForShell(String(vars[match[1]] ?? ""), quote);
+      i += match[0].length - 1;
+      continue;
+    }
+    if (ch === "\\" && quote !== "'" && process.platform !== "win32") {
+      out += template.slice(i, i + 2);
+      i += 1;
+      continue;
+    }
+    if (quote ? ch === quote : quotes.includes(ch)) {
+      quote = quote ? null : ch;
+    }
+    out += ch;
   }
   return out;
 }
 
+function formatCommandLine(command) {
+  if (!Array.isArray(command)) return command;
+  return command
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : shellQuote(arg)))
+    .join(" ");
+}
+
 function buildCommand(template, config, extraVars) {
   const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
   const repoConfigPath = resolvePathWithBase(
@@ -223,13 +439,75 @@ function buildCommand(template, config, extraVars) {
   return formatCmd(template, { ...baseVars, ...extraVars });
 }
 
+function killProcessTree(child, signal) {
+  if (!child.pid) return;
+  try {
+    if (process.platform === "win32") {
+      spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+        stdio: "ignore",
+      });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch {
+    // already gone
+  }
+}
+
+// synchronous cleanup run by the one exit handler main installs; a signal
+// turns into process.exit, so every task runs however warden stops
+const shutdownTasks = new Set();
+
+function runShutdownTasks() {
+  for (const task of shutdownTasks) {
+    try {
+      task();
+    } catch {
+      // keep going, the process is exiting anyway
+    }
+  }
+  shutdownTasks.clear();
+}
+
+function installShutdownHandler() {
+  process.on("exit", runShutdownTasks);
+  for (const [signal, code] of [
+    ["SIGINT", 130],
+    ["SIGTERM", 143],
+  ]) {
+    process.once(signal, () => process.exit(code));
+  }
+}
+
+// detached children no longer get the signals sent to warden's process
+// group (Ctrl-C, service stop), so warden takes them down when it exits
+const detachedChildren = new Set();
+
+function killDetachedChildren() {
+  for (const running of detachedChildren) {
+    killProcessTree(running, "SIGTERM");
+  }
+}
+
+function trackDetachedChild(child) {
+  detachedChildren.add(child);
+  child.once("exit", () => detachedChildren.delete(child));
+  shutdownTasks.add(killDetachedChildren);
+}
+
 async function execShell(command, options = {}) {
   return await new Promise((resolve) => {
-    const child = spawn(command, {
-      shell: true,
+    const argv = Array.isArray(command);
+    const [file, ...args] = argv ? command : [command];
+    // own process group, so a timeout can take down the whole tree
+    const detached = process.platform !== "win32" && Boolean(options.timeoutMs);
+    const child = spawn(file, args, {
+      shell: !argv,
       cwd: options.cwd || CWD,
       env: options.env || process.env,
+      detached,
     });
+    if (detached && child.pid) trackDetachedChild(child);
     let stdout = "";
     let stderr = "";
     child.stdout.on("data", (d) => {
@@ -238,19 +516,413 @@ async function execShell(command, options = {}) {
     child.stderr.on("data", (d) => {
       stderr += d.toString();
     });
-    child.on("close", (code) => {
-      resolve({ code, stdout, stderr });
+    let timedOut = false;
+    let settled = false;
+    const timers = [];
+    const finish = (code) => {
+      if (settled) return;
+      settled = true;
+      timers.forEach(clearTimeout);
+      resolve({
+        code,
+        stdout,
+        stderr,
+        timedOut,
+        timeoutMs: options.timeoutMs || null,
+      });
+    };
+    if (options.timeoutMs) {
+      const graceMs = commandTimeouts.killGrace;
+      timers.push(
+        setTimeout(() => {
+          timedOut = true;
+          killProcessTree(child, "SIGTERM");
+          timers.push(
+            setTimeout(() => {
+              killProcessTree(child, "SIGKILL");
+              // a descendant that left the group may still hold the pipes
+              timers.push(
+                setTimeout(() => {
+                  child.stdout.destroy();
+                  child.stderr.destroy();
+                  finish(null);
+                }, graceMs),
+              );
+            }, graceMs),
+          );
+        }, options.timeoutMs),
+      );
+    }
+    child.on("error", (err) => {
+      stderr += String(err && err.message ? err.message : err);
+      finish(null);
     });
+    child.on("close", finish);
+  });
+}
+
+async function execGit(args, cwd) {
+  return await execShell(["git", ...args], {
+    cwd,
+    timeoutMs: commandTimeouts.git,
   });
 }
 
+function formatExecError(res) {
+  if (res.timedOut) return `timed out after ${res.timeoutMs / 1000}s`;
+  // git reports some failures (e.g. "nothing to commit") on stdout
+  return res.stderr.trim() || res.stdout.trim() || `exit code ${res.code}`;
+}
+
+const NOTIFY_EVENTS = [
+  "probe-failure",
+  "restart",
+  "recovery",
+  "escalation",
+  "config-push",
+  "config-rejected",
+  "rollback",
+];
+
+const commandSchema = z.union([z.string().min(1), z.array(z.string()).min(1)]);
+const severitySchema = z.enum(["restart", "notify-only", "ignore"]);
+const probeBase = {
+  name: z.string().min(1).optional(),
+  timeoutSeconds: z.number().positive().optional(),
+  severity: severitySchema.optional(),
+  failureThreshold: z.number().int().positive().optional(),
+  waitSeconds: z.array(z.number().nonnegative()).min(1).optional(),
+};
+const jsonAssertion = {
+  jsonPath: z.string().min(1).optional(),
+  equals: z.any().optional(),
+};
+const agentSelection = {
+  agents: z
+    .union([z.literal("all"), z.array(z.string().min(1)).min(1)])
+    .optional(),
+  command: commandSchema.optional(),
+  concurrency: z.number().int().positive().optional(),
+  severities: z.record(severitySchema).optional(),
+};
+const probeSchema = z.discriminatedUnion("type", [
+  z
+    .object({
+      ...probeBase,
+      ...jsonAssertion,
+      type: z.literal("http"),
+      url: z.string().url(),
+      method: z.string().min(1).optional(),
+      headers: z.record(z.string()).optional(),
+      expectStatus: z.number().int().optional(),
+    })
+    .strict(),
+  z
+    .object({
+      ...probeBase,
+      type: z.literal("tcp"),
+      host: z.string().min(1).optional(),
+      port: z.number().int().min(1).max(65535),
+    })
+    .strict(),
+  z
+    .object({
+      ...probeBase,
+      type: z.literal("websocket"),
+      url: z.string().regex(/^wss?:\/\//, "expected a ws:// or wss:// URL"),
+      headers: z.record(z.string()).optional(),
+    })
+    .strict(),
+  z
+    .object({
+      ...probeBase,
+      ...jsonAssertion,
+      type: z.literal("command"),
+      command: commandSchema,
+    })
+    .strict(),
+  z
+    .object({
+      ...probeBase,
+      ...jsonAssertion,
+      type: z.literal("agents"),
+      ...agentSelection,
+    })
+    .strict(),
+]);
+const isoDateSchema = z
+  .string()
+  .refine((value) => !Number.isNaN(Date.parse(value)), "expected a date");
+const notifyEventsSchema = z.array(z.enum(NOTIFY_EVENTS)).min(1);
+
+const wardenConfigSchema = z
+  .object({
+    paths: z
+      .object({
+        repoConfig: z.string().min(1),
+        liveConfig: z.string().min(1),
+        schemaFile: z.string().min(1),
+        stateDir: z.string().min(1).optional(),
+      })
+      .strict(),
+    schema: z
+      .object({
+        source: z.enum(["git", "command", "local"]).optional(),
+        repoUrl: z.string().min(1).optional(),
+        ref: z.string().min(1).optional(),
+        checkoutDir: z.string().min(1).optional(),
+        useLocalDeps: z.boolean().optional(),
+        nodePath: z.string().min(1).optional(),
+        installCommand: commandSchema.optional(),
+        exportCommand: commandSchema.optional(),
+        command: commandSchema.optional(),
+        cwd: z.string().min(1).optional(),
+        binary: z.string().min(1).optional(),
+        packageDir: z.string().min(1).optional(),
+        localExportCommand: commandSchema.optional(),
+        autoRegenerate: z.boolean().optional(),
+      })
+      .strict()
+      .optional(),
+    git: z
+      .object({
+        enabled: z.boolean().optional(),
+        autoInit: z.boolean().optional(),
+      })
+      .strict()
+      .optional(),
+    heartbeat: z
+      .object({
+        intervalMinutes: z.number().positive().optional(),
+        waitSeconds: z.array(z.number().nonnegative()).min(1).optional(),
+        backoff: z
+          .object({
+            initialSeconds: z.number().nonnegative().optional(),
+            factor: z.number().min(1).optional(),
+            maxSeconds: z.number().nonnegative().optional(),
+            attempts: z.number().int().positive().optional(),
+          })
+          .strict()
+          .optional(),
+        schedule: z
+          .object({
+            jitterSeconds: z.number().nonnegative().optional(),
+            failureIntervalMinutes: z.number().positive().optional(),
+            recoverySuccesses: z.number().int().positive().optional(),
+          })
+          .strict()
+          .optional(),
+        sendCommand: commandSchema.optional(),
+        checkCommand: commandSchema.optional(),
+        probes: z.array(probeSchema).optional(),
+        target: z.string().optional(),
+        agentProbe: z
+          .object({
+            enabled: z.boolean().optional(),
+            fallbackAgentId: z.string().min(1).optional(),
+            ...agentSelection,
+            timeoutSeconds: z.number().positive().optional(),
+            failureThreshold: z.number().int().positive().optional(),
+            waitSeconds: z.array(z.number().nonnegative()).min(1).optional(),
+          })
+          .strict()
+          .optional(),
+        notifyOnRestart: z.boolean().optional(),
+        notifyCommand: commandSchema.optional(),
+        restartCommand: commandSchema.optional(),
+        circuitBreaker: z
+          .object({
+            enabled: z.boolean().optional(),
+            maxRestarts: z.number().int().positive().optional(),
+            windowMinutes: z.number().positive().optional(),
+            escalateCommand: commandSchema.optional(),
+          })
+          .strict()
+          .optional(),
+      })
+      .strict()
+      .optional(),
+    drift: z
+      .object({
+        enabled: z.boolean().optional(),
+        action: z.enum(["warn", "pull", "push"]).optional(),
+      })
+      .strict()
+      .optional(),
+    rollback: z
+      .object({
+        enabled: z.boolean().optional(),
+        graceSeconds: z.number().nonnegative().optional(),
+        intervalSeconds: z.number().positive().optional(),
+        healthyChecks: z.number().int().positive().optional(),
+        notifyCommand: commandSchema.optional(),
+      })
+      .strict()
+      .optional(),
+    notify: z
+      .object({
+        rateLimitMinutes: z.number().nonnegative().optional(),
+        channels: z
+          .array(
+            z.discriminatedUnion("type", [
+              z
+                .object({
+                  type: z.literal("command"),
+                  name: z.string().min(1).optional(),
+                  events: notifyEventsSchema.optional(),
+                  command: commandSchema,
+                })
+                .strict(),
+              z
+                .object({
+                  type: z.literal("webhook"),
+                  name: z.string().min(1).optional(),
+                  events: notifyEventsSchema.optional(),
+                  url: z.string().url(),
+                  method: z.string().min(1).optional(),
+                  headers: z.record(z.string()).optional(),
+                  body: z.string().optional(),
+                  timeoutSeconds: z.number().positive().optional(),
+                })
+                .strict(),
+              z
+                .object({
+                  type: z.literal("file"),
+                  name: z.string().min(1).optional(),
+                  events: notifyEventsSchema.optional(),
+                  path: z.string().min(1),
+                })
+                .strict(),
+            ]),
+          )
+          .optional(),
+      })
+      .strict()
+      .optional(),
+    maintenance: z
+      .object({
+        windows: z
+          .array(
+            z.union([
+              z
+                .object({
+                  start: isoDateSchema,
+                  end: isoDateSchema,
+                  reason: z.string().optional(),
+                })
+                .strict(),
+              z
+                .object({
+                  cron: z.string().superRefine((value, ctx) => {
+                    try {
+                      parseCron(value);
+                    } catch (err) {
+                      ctx.addIssue({ code: "custom", message: err.message });
+                    }
+                  }),
+                  durationMinutes: z.number().positive(),
+                  reason: z.string().optional(),
+                })
+                .strict(),
+            ]),
+          )
+          .optional(),
+      })
+      .strict()
+      .optional(),
+    metrics: z
+      .object({
+        enabled: z.boolean().optional(),
+        host: z.string().min(1).optional(),
+        port: z.number().int().min(0).max(65535).optional(),
+      })
+      .strict()
+      .optional(),
+    secretScan: z
+      .object({
+        enabled: z.boolean().optional(),
+        action: z.enum(["block", "redact"]).optional(),
+        allowPaths: z.array(z.string().min(1)).optional(),
+      })
+      .strict()
+      .optional(),
+    watcher: z
+      .object({
+        pollSeconds: z.number().positive().optional(),
+        debounceMs: z.number().int().nonnegative().optional(),
+        usePolling: z.boolean().optional(),
+      })
+      .strict()
+      .optional(),
+    migrations: z
+      .object({
+        dir: z.string().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+    timeouts: z
+      .object({
+        checkSeconds: z.number().positive().optional(),
+        probeSeconds: z.number().positive().optional(),
+        restartSeconds: z.number().positive().optional(),
+        notifySeconds: z.number().positive().optional(),
+        schemaSeconds: z.number().positive().optional(),
+        gitSeconds: z.number().positive().optional(),
+        killGraceSeconds: z.number().nonnegative().optional(),
+      })
+      .strict()
+      .optional(),
+    logging: z
+      .object({
+        file: z.string().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+  })
+  .strict();
+
+function formatConfigIssue(issue) {
+  if (issue.code === "unrecognized_keys") {
+    return issue.keys
+      .map((key) => `- ${formatKeyPath([...issue.path, key])}: unknown key`)
+      .join("\n");
+  }
+  const at = formatKeyPath(issue.path);
+  if (issue.code === "invalid_type") {
+    if (issue.received === "undefined") {
+      return `- ${at}: required ${issue.expected} is missing`;
+    }
+    return `- ${at}: expected ${issue.expected}, got ${issue.received}`;
+  }
+  return `- ${at}: ${issue.message}`;
+}
+
+function parseWardenConfig(raw, configPath) {
+  let data = null;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(
+      `Invalid JSON in ${configPath}: ${(err && err.message) || String(err)}`,
+    );
+  }
+  const result = wardenConfigSchema.safeParse(data);
+  if (!result.success) {
+    const detail = result.error.issues.map(formatConfigIssue).join("\n");
+    throw new Error(`Invalid warden config ${configPath}:\n${detail}`);
+  }
+  return result.data;
+}
+
 async function loadConfig() {
   const configPath = resolveConfigPath();
   if (!fs.existsSync(configPath)) {
     throw new Error(`Config not found: ${configPath}`);
   }
-  const config = await readJson(configPath);
+  const raw = await fsp.readFile(configPath, "utf8");
+  const config = parseWardenConfig(raw, configPath);
   config.__configPath = configPath;
+  commandTimeouts = resolveTimeouts(config);
   if (config?.logging?.file) {
     logFilePath = resolvePath(config.logging.file);
   } else {
@@ -423,38 +1095,90 @@ async function ensureGitRepo(repoDir, autoInit) {
   const gitDir = path.join(repoDir, ".git");
   if (fs.existsSync(gitDir)) return true;
   if (!autoInit) return false;
-  const res = await execShell("git init", { cwd: repoDir });
+  const res = await execGit(["init"], repoDir);
   if (res.code !== 0) {
-    logWarn(`git init failed: ${res.stderr.trim()}`);
+    logWarn(`git init failed: ${formatExecError(res)}`);
     return false;
   }
   return true;
 }
 
-async function gitCommitIfChanged(repoDir, files, message) {
-  const status = await execShell("git status --porcelain", { cwd: repoDir });
+async function gitCommitIfChanged(repoDir, files, message, config) {
+  const status = await execGit(
+    ["status", "--porcelain", "--", ...files],
+    repoDir,
+  );
   if (status.code !== 0) {
-    logWarn(`git status failed: ${status.stderr.trim()}`);
+    logWarn(`git status failed: ${formatExecError(status)}`);
     return;
   }
-  const changed = status.stdout
-    .split("\n")
-    .filter(Boolean)
-    .some((line) => files.some((file) => line.includes(file)));
-  if (!changed) return;
+  if (!status.stdout.trim()) return;
 
-  const addCmd = `git add ${files.map((f) => `"${f}"`).join(" ")}`;
-  const addRes = await execShell(addCmd, { cwd: repoDir });
+  if (config) await guardSecrets(config, repoDir, files);
+  const addRes = await execGit(["add", "--", ...files], repoDir);
   if (addRes.code !== 0) {
-    logWarn(`git add failed: ${addRes.stderr.trim()}`);
+    logWarn(`git add failed: ${formatExecError(addRes)}`);
     return;
   }
-  const commitRes = await execShell(`git commit -m "${message}"`, {
-    cwd: repoDir,
-  });
+  const commitRes = await execGit(
+    ["commit", "-m", message, "--", ...files],
+    repoDir,
+  );
   if (commitRes.code !== 0) {
-    logWarn(`git commit failed: ${commitRes.stderr.trim()}`);
+    logWarn(`git commit failed: ${formatExecError(commitRes)}`);
+  }
+}
+
+function toGitPath(file) {
+  return file.split(path.sep).join("/");
+}
+
+async function gitFileRevision(repoDir, file) {
+  const status = await execGit(["status", "--porcelain", "--", file], repoDir);
+  if (status.code !== 0 || status.stdout.trim()) return null;
+  const res = await execGit(
+    ["log", "-n", "1", "--format=%H", "--", file],
+    repoDir,
+  );
+  if (res.code !== 0) return null;
+  return res.stdout.trim() || null;
+}
+
+async function gitPreviousRevision(repoDir, rev, file) {
+  const res = await execGit(
+    ["log", "-n", "1", "--format=%H", `${rev}~1`, "--", file],
+    repoDir,
+  );
+  if (res.code !== 0) return null;
+  return res.stdout.trim() || null;
+}
+
+async function gitShowFile(repoDir, rev, file) {
+  const res = await execGit(["show", `${rev}:${toGitPath(file)}`], repoDir);
+  if (res.code !== 0) {
+    throw new Error(`git show failed: ${formatExecError(res)}`);
+  }
+  return res.stdout;
+}
+
+async function gitResolveRevision(repoDir, rev) {
+  const res = await execGit(
+    ["rev-parse", "--verify", "--end-of-options", `${rev}^{commit}`],
+    repoDir,
+  );
+  if (res.code !== 0) {
+    throw new Error(`Unknown revision: ${rev}`);
   }
+  return res.stdout.trim();
+}
+
+function describeCommitSource(subject) {
+  if (subject.startsWith("sync pull")) return "pull";
+  if (subject.startsWith("sync push")) return "push";
+  if (subject.startsWith("rollback to")) return "rollback";
+  if (subject.startsWith("migrate to")) return "migrate";
+  if (subject.startsWith("init")) return "init";
+  return "manual";
 }
 
 async function loadSchema(schemaPath) {
@@ -489,26 +1213,27 @@ async function ensureGitCheckout(schemaConfig) {
   await ensureDir(path.dirname(checkoutDir));
 
   if (!fs.existsSync(checkoutDir)) {
-    const cloneCmd = `git clone --filter=blob:none ${repoUrl} \"${checkoutDir}\"`;
-    logInfo(`Cloning OpenClaw: ${cloneCmd}`);
-    const cloneRes = await execShell(cloneCmd);
+    logInfo(`Cloning OpenClaw: ${repoUrl} -> ${checkoutDir}`);
+    const cloneRes = await execGit([
+      "clone",
+      "--filter=blob:none",
+      "--",
+      repoUrl,
+      checkoutDir,
+    ]);
     if (cloneRes.code !== 0) {
-      throw new Error(`git clone failed: ${cloneRes.stderr.trim()}`);
+      throw new Error(`git clone failed: ${formatExecError(cloneRes)}`);
     }
   }
 
-  const fetchRes = await execShell("git fetch --all --prune", {
-    cwd: checkoutDir,
-  });
+  const fetchRes = await execGit(["fetch", "--all", "--prune"], checkoutDir);
   if (fetchRes.code !== 0) {
-    throw new Error(`git fetch failed: ${fetchRes.stderr.trim()}`);
+    throw new Error(`git fetch failed: ${formatExecError(fetchRes)}`);
   }
 
-  const checkoutRes = await execShell(`git checkout ${ref}`, {
-    cwd: checkoutDir,
-  });
+  const checkoutRes = await execGit(["checkout", ref, "--"], checkoutDir);
   if (checkoutRes.code !== 0) {
-    throw new Error(`git checkout failed: ${checkoutRes.stderr.trim()}`);
+    throw new Error(`git checkout failed: ${formatExecError(checkoutRes)}`);
   }
 
   return checkoutDir;
@@ -546,10 +1271,13 @@ async function maybeInstallDeps(schemaConfig, cwd) {
 
   if (!needsInstall) return;
 
-  logInfo(`Installing OpenClaw deps: ${installCommand}`);
-  const res = await execShell(installCommand, { cwd });
+  logInfo(`Installing OpenClaw deps: ${formatCommandLine(installCommand)}`);
+  const res = await execShell(installCommand, {
+    cwd,
+    timeoutMs: commandTimeouts.schema,
+  });
   if (res.code !== 0) {
-    throw new Error(`Install failed: ${res.stderr.trim()}`);
+    throw new Error(`Install failed: ${formatExecError(res)}`);
   }
 
   if (lockfilePath) {
@@ -569,7 +1297,7 @@ function buildNodePathEnv(extraNodePath) {
   return parts.join(delimiter);
 }
 
-async function updateSchema(config) {
+async function updateSchema(config, options = {}) {
   const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
   const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
   await ensureDir(path.dirname(schemaPath));
@@ -579,8 +1307,34 @@ async function updateSchema(config) {
   let cwd = CWD;
   let command = schemaCfg.command;
   let execEnv = process.env;
+  let installed = null;
 
-  if (source === "git") {
+  if (source === "local") {
+    installed = await resolveInstalledOpenClaw(schemaCfg, configDir);
+    logInfo(`Using installed OpenClaw ${installed.version}: ${installed.dir}`);
+    cwd = installed.dir;
+    if (!installed.cli && !schemaCfg.localExportCommand) {
+      keepCurrentSchema(
+        schemaPath,
+        `OpenClaw package at ${installed.dir} declares no CLI; set schema.localExportCommand`,
+      );
+      return;
+    }
+    // the package's own CLI, run with this node so PATH doesn't matter
+    command = formatCmd(
+      schemaCfg.localExportCommand || [
+        process.execPath,
+        "{cli}",
+        "config",
+        "schema",
+      ],
+      {
+        packageDir: installed.dir,
+        cli: installed.cli,
+        version: installed.version,
+      },
+    );
+  } else if (source === "git") {
     if (!schemaCfg.repoUrl) {
       throw new Error("schema.repoUrl is required when schema.source=git");
     }
@@ -629,293 +1383,3864 @@ async function updateSchema(config) {
     }
   }
 
-  logInfo(`Running schema command: ${command}`);
-  const res = await execShell(command, { cwd, env: execEnv });
-  if (res.code !== 0) {
-    throw new Error(`Schema command failed: ${res.stderr.trim()}`);
-  }
-  const schema = extractSchemaFromCommandOutput(res.stdout.trim());
+  logInfo(`Running schema command: ${formatCommandLine(command)}`);
+  const res = await execShell(command, {
+    cwd,
+    env: execEnv,
+    timeoutMs: commandTimeouts.schema,
+  });
+  const schema =
+    res.code === 0 ? extractSchemaFromCommandOutput(res.stdout.trim()) : null;
   if (!schema || typeof schema !== "object") {
-    throw new Error("Failed to parse schema JSON from command output");
+    const reason =
+      res.code !== 0
+        ? `Schema command failed: ${formatExecError(res)}`
+        : "Failed to parse schema JSON from command output";
+    if (source !== "local") throw new Error(reason);
+    // older OpenClaw releases have no `config schema` command
+    keepCurrentSchema(
+      schemaPath,
+      `${reason} (OpenClaw ${installed.version} may not support \`openclaw config schema\`; set schema.localExportCommand)`,
+    );
+    return;
+  }
+  const version = installed
+    ? `v${installed.version}`
+    : await detectSchemaVersion(source, cwd, schema);
+  await ensureDir(resolveSchemaStore(config));
+  await writeJson(schemaVersionPath(config, version), schema);
+  logInfo(`Stored schema ${version}.`);
+
+  const active = await readActiveSchema(config);
+  const current = fs.existsSync(schemaPath) ? await readJson(schemaPath) : null;
+  const managed = await readManagedForSchema(config);
+  if (current && managed) {
+    printSchemaImpact(
+      schemaImpact(current, schema, managed),
+      active?.version || "current",
+      version,
+    );
+  }
+  if (active?.pinned && !options.force) {
+    logWarn(
+      `Schema is pinned to ${active.version}; not switching. Run schema:use ${version} or schema:update --force to switch.`,
+    );
+    return;
+  }
+  const errors = managed ? validateAgainstSchema(managed, schema) : [];
+  if (errors.length && !options.force) {
+    throw new Error(
+      `Managed config does not validate against schema ${version}; keeping ${active?.version || "the current schema"}. Fix the config (see config:migrate ${version}) or rerun with --force:\n${errors.join("\n")}`,
+    );
   }
-  await writeJson(schemaPath, schema);
-  logInfo(`Schema updated: ${schemaPath}`);
+  await activateSchema(config, version, schema, {
+    source,
+    pinned: false,
+    ...(installed ? { openclawVersion: installed.version } : {}),
+  });
+  logInfo(`Schema updated: ${schemaPath} (${version})`);
 }
 
-async function validateConfig(config) {
-  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
-  const repoConfigPath = resolvePathWithBase(
-    config.paths.repoConfig,
-    configDir,
+function keepCurrentSchema(schemaPath, reason) {
+  if (!fs.existsSync(schemaPath)) throw new Error(reason);
+  logWarn(`${reason}. Keeping the current schema: ${schemaPath}`);
+}
+
+function findOnPath(name) {
+  if (path.isAbsolute(name)) return fs.existsSync(name) ? name : null;
+  const exts =
+    process.platform === "win32"
+      ? ["", ...(process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")]
+      : [""];
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    for (const ext of exts) {
+      const candidate = path.join(dir, `${name}${ext}`);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+async function readOpenClawPackage(dir) {
+  try {
+    const pkg = await readJson(path.join(dir, "package.json"));
+    return pkg && pkg.name === "openclaw" ? pkg : null;
+  } catch {
+    return null;
+  }
+}
+
+async function resolveInstalledOpenClaw(schemaCfg, configDir) {
+  let candidates = [];
+  if (schemaCfg.packageDir) {
+    candidates = [resolvePathWithBase(schemaCfg.packageDir, configDir)];
+  } else {
+    const binary = schemaCfg.binary || "openclaw";
+    const binPath = findOnPath(binary);
+    if (!binPath) {
+      throw new Error(
+        `OpenClaw binary not found on PATH: ${binary} (set schema.packageDir or schema.binary)`,
+      );
+    }
+    // npm links bin/openclaw into the package; Windows shims are plain
+    // files next to the global node_modules
+    let dir = path.dirname(await fsp.realpath(binPath));
+    for (let i = 0; i < 6; i += 1) {
+      candidates.push(dir);
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+    const binDir = path.dirname(binPath);
+    candidates.push(
+      path.join(binDir, "node_modules", "openclaw"),
+      path.join(binDir, "..", "lib", "node_modules", "openclaw"),
+    );
+  }
+  for (const dir of candidates) {
+    const pkg = await readOpenClawPackage(dir);
+    if (!pkg) continue;
+    const bin =
+      typeof pkg.bin === "string" ? pkg.bin : pkg.bin?.openclaw || null;
+    return {
+      dir: path.resolve(dir),
+      version: String(pkg.version),
+      cli: bin ? path.resolve(dir, bin) : null,
+    };
+  }
+  throw new Error(
+    `OpenClaw package not found (looked in ${candidates.join(", ")})`,
   );
-  const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
-  const raw = await fsp.readFile(repoConfigPath, "utf8");
-  let json = null;
+}
+
+// checked before every push and at startup; active.json records which
+// installed version the schema was built for, so an unchanged install costs
+// one read
+async function ensureLocalSchemaFresh(config) {
+  const schemaCfg = config.schema || {};
+  if (schemaCfg.source !== "local") return;
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  let installed = null;
   try {
-    json = JSON.parse(raw);
+    installed = await resolveInstalledOpenClaw(schemaCfg, configDir);
   } catch (err) {
-    throw new Error(`Invalid JSON: ${(err && err.message) || String(err)}`);
+    logWarn(
+      `Cannot check schema version: ${String(err && err.message ? err.message : err)}`,
+    );
+    return;
   }
-  const schema = await loadSchema(schemaPath);
-  const ajv = new Ajv({
-    allErrors: true,
-    strict: false,
-    allowUnionTypes: true,
-  });
-  addFormats(ajv);
-  const validate = ajv.compile(schema);
-  const ok = validate(json);
-  if (!ok) {
-    const errors = (validate.errors || []).map((e) => {
-      const at = e.instancePath || e.schemaPath || "";
-      return `- ${at} ${e.message || "invalid"}`;
+  const active = await readActiveSchema(config);
+  if (active?.openclawVersion === installed.version) return;
+  if (active?.openclawVersion) {
+    logWarn(
+      `Schema was built for OpenClaw ${active.openclawVersion}, installed is ${installed.version}.`,
+    );
+  } else {
+    logWarn(`No schema recorded for installed OpenClaw ${installed.version}.`);
+  }
+  if (active?.pinned || schemaCfg.autoRegenerate === false) return;
+  const version = `v${installed.version}`;
+  const storedPath = schemaVersionPath(config, version);
+  try {
+    if (!fs.existsSync(storedPath)) {
+      await updateSchema(config);
+      return;
+    }
+    // seen before (an upgrade back, or a downgrade): reuse the stored export
+    const schema = await readJson(storedPath);
+    const managed = await readManagedForSchema(config);
+    const errors = managed ? validateAgainstSchema(managed, schema) : [];
+    if (errors.length) {
+      logWarn(
+        `Managed config does not validate against stored schema ${version}; keeping ${active?.version || "the current schema"}. See config:migrate ${version}.`,
+      );
+      return;
+    }
+    await activateSchema(config, version, schema, {
+      source: "local",
+      pinned: false,
+      openclawVersion: installed.version,
     });
-    const detail = errors.join("\n");
-    throw new Error(`Schema validation failed:\n${detail}`);
+    logInfo(`Activated stored schema ${version}.`);
+  } catch (err) {
+    logWarn(
+      `Schema refresh failed, validating with the cached schema: ${String(err && err.message ? err.message : err)}`,
+    );
   }
-  return true;
 }
 
-async function atomicCopy(srcPath, destPath) {
-  const dir = path.dirname(destPath);
-  await ensureDir(dir);
-  const tempPath = path.join(
-    dir,
-    `.${path.basename(destPath)}.tmp-${Date.now()}`,
+async function detectSchemaVersion(source, cwd, schema) {
+  if (source === "git") {
+    const res = await execGit(["describe", "--tags", "--always"], cwd);
+    if (res.code === 0 && res.stdout.trim()) return res.stdout.trim();
+  }
+  return `sha-${sha256(JSON.stringify(schema)).slice(0, 12)}`;
+}
+
+function resolveSchemaStore(config) {
+  return path.join(resolveStateDir(config), "schemas");
+}
+
+function schemaVersionPath(config, version) {
+  return path.join(
+    resolveSchemaStore(config),
+    `${version.replace(/[^\w.-]+/g, "_")}.json`,
   );
-  await fsp.copyFile(srcPath, tempPath);
-  await fsp.rename(tempPath, destPath);
 }
 
-async function syncPull(config) {
+async function readActiveSchema(config) {
+  try {
+    return await readJson(path.join(resolveSchemaStore(config), "active.json"));
+  } catch {
+    return null;
+  }
+}
+
+async function activateSchema(config, version, schema, details = {}) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
+  await atomicWrite(schemaPath, JSON.stringify(schema, null, 2));
+  await atomicWrite(
+    path.join(resolveSchemaStore(config), "active.json"),
+    `${JSON.stringify({ version, activatedAt: nowIso(), ...details }, null, 2)}\n`,
+  );
+}
+
+async function readManagedForSchema(config) {
   const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
   const repoConfigPath = resolvePathWithBase(
     config.paths.repoConfig,
     configDir,
   );
-  const repoRoot = path.dirname(repoConfigPath);
-  const liveConfigPath = resolvePathWithBase(
-    config.paths.liveConfig,
-    configDir,
-  );
-  if (!fs.existsSync(liveConfigPath)) {
-    throw new Error(`Live config not found: ${liveConfigPath}`);
+  if (!fs.existsSync(repoConfigPath)) return null;
+  const raw = await fsp.readFile(repoConfigPath, "utf8");
+  // unresolved refs stay strings, which is enough for a structural check
+  const { text } = await resolveSecretRefs(raw, configDir, { lenient: true });
+  try {
+    return parseConfigText(text, repoConfigPath);
+  } catch {
+    return null;
   }
-  await ensureDir(path.dirname(repoConfigPath));
-  await fsp.copyFile(liveConfigPath, repoConfigPath);
-  logInfo(`Pulled live config -> repo: ${repoConfigPath}`);
+}
 
-  if (config.git?.enabled) {
-    const gitReady = await ensureGitRepo(
-      repoRoot,
-      Boolean(config.git?.autoInit),
+async function useSchema(config, version) {
+  if (!version) {
+    throw new Error("Usage: schema:use <version>");
+  }
+  const versionPath = schemaVersionPath(config, version);
+  if (!fs.existsSync(versionPath)) {
+    const known = await listSchemaVersions(config);
+    throw new Error(
+      `Unknown schema version: ${version}${known.length ? ` (available: ${known.map((entry) => entry.version).join(", ")})` : ""}`,
     );
-    if (gitReady) {
-      await gitCommitIfChanged(
-        repoRoot,
-        [path.relative(repoRoot, repoConfigPath)],
-        `sync pull ${nowIso()}`,
-      );
-    }
   }
-}
-
-async function syncPush(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
+  const schema = await readJson(versionPath);
+  const active = await readActiveSchema(config);
+  const current = fs.existsSync(schemaPath) ? await readJson(schemaPath) : null;
+  const managed = await readManagedForSchema(config);
+  if (current && managed) {
+    printSchemaImpact(
+      schemaImpact(current, schema, managed),
+      active?.version || "current",
+      version,
+    );
+  }
+  const errors = managed ? validateAgainstSchema(managed, schema) : [];
+  if (errors.length) {
+    logWarn(
+      `Managed config does not validate against schema ${version}:\n${errors.join("\n")}`,
+    );
+  }
+  const details = { source: active?.source, pinned: true };
+  if (active?.source === "local" && version.startsWith("v")) {
+    // local schemas are stored as v<installed version>
+    details.openclawVersion = version.slice(1);
+  }
+  await activateSchema(config, version, schema, details);
+  logInfo(`Schema pinned to ${version}.`);
+}
+
+async function listSchemaVersions(config) {
+  const store = resolveSchemaStore(config);
+  let names = [];
+  try {
+    names = await fsp.readdir(store);
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const name of names) {
+    if (!name.endsWith(".json") || name === "active.json") continue;
+    const stat = await fsp.stat(path.join(store, name));
+    entries.push({ version: name.slice(0, -5), storedAt: stat.mtime });
+  }
+  return entries.sort((a, b) => b.storedAt - a.storedAt);
+}
+
+async function showSchemas(config) {
+  const active = await readActiveSchema(config);
+  const entries = await listSchemaVersions(config);
+  if (!entries.length) {
+    logInfo("No stored schemas yet; run schema:update.");
+    return;
+  }
+  for (const entry of entries) {
+    const isActive = entry.version === active?.version;
+    const marker = isActive ? (active.pinned ? "* (pinned)" : "*") : "";
+    console.log(
+      `${entry.version.padEnd(24)}  ${entry.storedAt.toISOString()}  ${marker}`.trimEnd(),
+    );
+  }
+}
+
+function validateAgainstSchema(json, schema) {
+  return schemaIssues(json, schema).map(
+    (issue) =>
+      `- ${formatKeyPath(issue.path)}: ${issue.message}${formatSuggestion(issue)}`,
+  );
+}
+
+function schemaIssues(json, schema) {
+  const ajv = new Ajv({
+    allErrors: true,
+    strict: false,
+    allowUnionTypes: true,
+    verbose: true,
+  });
+  addFormats(ajv);
+  const validate = ajv.compile(schema);
+  if (validate(json)) return [];
+  const seen = new Set();
+  return collapseUnionErrors(validate.errors || [])
+    .map((e) => describeSchemaError(e, json))
+    .filter((issue) => {
+      const key = `${formatKeyPath(issue.path)}\0${issue.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function pointerToSegments(pointer, json) {
+  let node = json;
+  return (pointer ? pointer.split("/").slice(1) : []).map((part) => {
+    const key = part.replace(/~1/g, "/").replace(/~0/g, "~");
+    const seg = Array.isArray(node) ? Number(key) : key;
+    node = node?.[seg];
+    return seg;
+  });
+}
+
+function describeValueType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return Number.isInteger(value) ? "integer" : typeof value;
+}
+
+function closestName(name, candidates) {
+  if (typeof name !== "string") return null;
+  const norm = (value) => value.toLowerCase().replace(/[-_]/g, "");
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string" || candidate === name) continue;
+    const distance =
+      norm(candidate) === norm(name) ? 0 : editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const limit = name.length < 4 ? 1 : Math.max(2, Math.floor(name.length / 3));
+  return bestDistance <= limit ? best : null;
+}
+
+// Ajv reports every failing anyOf/oneOf branch; keep only the branch that got
+// furthest, or fold the branches into one message when none matched the shape
+function collapseUnionErrors(errors) {
+  let kept = errors;
+  const unions = errors
+    .filter((e) => e.keyword === "anyOf" || e.keyword === "oneOf")
+    .sort((a, b) => a.schemaPath.length - b.schemaPath.length);
+  for (const union of unions) {
+    if (!kept.includes(union)) continue;
+    const prefix = `${union.schemaPath}/`;
+    const branches = new Map();
+    const within = (e) =>
+      e.instancePath === union.instancePath ||
+      e.instancePath.startsWith(`${union.instancePath}/`);
+    for (const e of kept) {
+      if (!e.schemaPath.startsWith(prefix) || !within(e)) continue;
+      const index = e.schemaPath.slice(prefix.length).split("/")[0];
+      branches.set(index, [...(branches.get(index) || []), e]);
+    }
+    if (!branches.size) continue;
+    const shallow = (errs) =>
+      errs.every(
+        (e) =>
+          e.instancePath === union.instancePath &&
+          ["type", "const", "enum"].includes(e.keyword),
+      );
+    const all = [...branches.values()];
+    const drop = new Set(all.flat());
+    if (all.every(shallow)) {
+      const types = new Set();
+      const values = [];
+      for (const e of all.flat()) {
+        if (e.keyword === "type") {
+          [e.params.type].flat().forEach((type) => types.add(type));
+        } else if (e.keyword === "const") {
+          values.push(e.params.allowedValue);
+        } else {
+          values.push(...e.params.allowedValues);
+        }
+      }
+      kept = kept.map((e) =>
+        e === union
+          ? {
+              ...union,
+              keyword: "union",
+              params: { types: [...types], values },
+            }
+          : e,
+      );
+    } else {
+      // a mismatched const on a direct child is usually a discriminator
+      const depth = union.instancePath.split("/").length + 1;
+      const discriminators = (errs) =>
+        errs.filter(
+          (e) =>
+            e.keyword === "const" && e.instancePath.split("/").length === depth,
+        ).length;
+      const score = (errs) =>
+        (shallow(errs) ? 1000 : 0) + discriminators(errs) * 100 + errs.length;
+      const best = all.sort((a, b) => score(a) - score(b))[0];
+      best.forEach((e) => drop.delete(e));
+      drop.add(union);
+    }
+    kept = kept.filter((e) => !drop.has(e));
+  }
+  return kept;
+}
+
+function describeSchemaError(e, json) {
+  const at = pointerToSegments(e.instancePath, json);
+  const known = Object.keys(e.parentSchema?.properties || {});
+  switch (e.keyword) {
+    case "additionalProperties": {
+      const name = e.params.additionalProperty;
+      const present = isPlainObject(e.data) ? Object.keys(e.data) : [];
+      return {
+        path: [...at, name],
+        code: "unknown-property",
+        message: `unknown property "${name}"`,
+        suggestion: closestName(
+          name,
+          known.filter((key) => !present.includes(key)),
+        ),
+        atKey: true,
+      };
+    }
+    case "required": {
+      const name = e.params.missingProperty;
+      const present = isPlainObject(e.data) ? Object.keys(e.data) : [];
+      const typo = closestName(
+        name,
+        present.filter((key) => !known.includes(key)),
+      );
+      return {
+        path: at,
+        code: "missing-property",
+        message: `missing required property "${name}"`,
+        ...(typo ? { suggestion: typo, rename: true } : {}),
+      };
+    }
+    case "type":
+      return {
+        path: at,
+        code: "invalid-type",
+        message: `must be ${[e.params.type].flat().join(" or ")}, got ${describeValueType(e.data)}`,
+      };
+    case "enum":
+      return {
+        path: at,
+        code: "invalid-value",
+        message: `must be one of ${e.params.allowedValues.map((value) => JSON.stringify(value)).join(", ")}`,
+        suggestion: closestName(e.data, e.params.allowedValues),
+      };
+    case "const":
+      return {
+        path: at,
+        code: "invalid-value",
+        message: `must be ${JSON.stringify(e.params.allowedValue)}`,
+      };
+    case "union": {
+      const { types, values } = e.params;
+      const parts = [
+        ...(types.length ? [types.join(" or ")] : []),
+        ...(values.length
+          ? [
+              `one of ${values.map((value) => JSON.stringify(value)).join(", ")}`,
+            ]
+          : []),
+      ];
+      return {
+        path: at,
+        code: values.length && !types.length ? "invalid-value" : "invalid-type",
+        message: `must be ${parts.join(" or ")}, got ${describeValueType(e.data)}`,
+        suggestion: closestName(e.data, values),
+      };
+    }
+    default:
+      return {
+        path: at,
+        code: "schema",
+        message: e.message || "invalid",
+      };
+  }
+}
+
+function formatSuggestion(issue) {
+  if (!issue.suggestion) return "";
+  return issue.rename
+    ? ` (did you mean to rename "${issue.suggestion}"?)`
+    : ` (did you mean ${JSON.stringify(issue.suggestion)}?)`;
+}
+
+function offsetToPosition(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before.at(-1).length + 1 };
+}
+
+function locateIssue(raw, root, issue) {
+  if (!root) return { line: 1, column: 1 };
+  for (let n = issue.path.length; n >= 0; n -= 1) {
+    const node = findNodeAtLocation(root, issue.path.slice(0, n));
+    if (!node) continue;
+    const target =
+      issue.atKey && n === issue.path.length && node.parent?.type === "property"
+        ? node.parent
+        : node;
+    return offsetToPosition(raw, target.offset);
+  }
+  return { line: 1, column: 1 };
+}
+
+function codeFrame(text, line, column, context = 2) {
+  const lines = text.replace(/\r?\n$/, "").split(/\r?\n/);
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const out = [];
+  for (let n = start; n <= end; n += 1) {
+    out.push(
+      `${n === line ? ">" : " "} ${String(n).padStart(width)} | ${lines[n - 1]}`,
+    );
+    if (n === line) {
+      out.push(`  ${" ".repeat(width)} | ${" ".repeat(column - 1)}^`);
+    }
+  }
+  return out.join("\n");
+}
+
+function formatIssue(issue, file, raw) {
+  const where = formatKeyPath(issue.path);
+  return `${file}:${issue.line}:${issue.column} ${issue.path.length ? `${where}: ` : ""}${issue.message}${formatSuggestion(issue)}\n${codeFrame(raw, issue.line, issue.column)}`;
+}
+
+function validationError(message, file, issues) {
+  return Object.assign(new Error(message), { file, issues });
+}
+
+function displayPath(filePath) {
+  const rel = path.relative(CWD, filePath);
+  return rel && !rel.startsWith("..") && !path.isAbsolute(rel) ? rel : filePath;
+}
+
+function formatSchemaPath(segments) {
+  return segments.reduce(
+    (out, seg) => (seg === "[]" ? `${out}[]` : out ? `${out}.${seg}` : seg),
+    "",
+  );
+}
+
+function collectSchemaProperties(node, root, segments = [], out = new Map()) {
+  const walk = (current, segs, conditional, seen) => {
+    if (!isPlainObject(current) || segs.length > 16) return;
+    if (typeof current.$ref === "string" && current.$ref.startsWith("#/")) {
+      if (seen.has(current.$ref)) return;
+      const target = current.$ref
+        .slice(2)
+        .split("/")
+        .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+        .reduce((value, key) => value?.[key], root);
+      walk(target, segs, conditional, new Set([...seen, current.$ref]));
+    }
+    for (const sub of current.allOf || []) walk(sub, segs, conditional, seen);
+    for (const key of ["anyOf", "oneOf"]) {
+      for (const sub of current[key] || []) walk(sub, segs, true, seen);
+    }
+    const required = new Set(
+      !conditional && Array.isArray(current.required) ? current.required : [],
+    );
+    if (isPlainObject(current.properties)) {
+      for (const [key, child] of Object.entries(current.properties)) {
+        const childSegs = [...segs, key];
+        const id = formatSchemaPath(childSegs);
+        out.set(id, {
+          segments: childSegs,
+          required: Boolean(out.get(id)?.required) || required.has(key),
+        });
+        walk(child, childSegs, false, seen);
+      }
+    }
+    if (isPlainObject(current.additionalProperties)) {
+      walk(current.additionalProperties, [...segs, "*"], false, seen);
+    }
+    if (isPlainObject(current.items)) {
+      walk(current.items, [...segs, "[]"], false, seen);
+    }
+  };
+  walk(node, segments, false, new Set());
+  return out;
+}
+
+function configValuesAt(value, segments) {
+  let nodes = [value];
+  for (const seg of segments) {
+    nodes = nodes.flatMap((node) => {
+      if (seg === "[]") return Array.isArray(node) ? node : [];
+      if (!isPlainObject(node)) return [];
+      if (seg === "*") return Object.values(node);
+      return Object.hasOwn(node, seg) ? [node[seg]] : [];
+    });
+  }
+  return nodes;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const next = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      prev = next;
+    }
+  }
+  return row[b.length];
+}
+
+function looksRenamed(from, to) {
+  const norm = (name) => name.toLowerCase().replace(/[-_]/g, "");
+  if (norm(from) === norm(to)) return true;
+  return (
+    Math.min(from.length, to.length) > 3 &&
+    editDistance(norm(from), norm(to)) <= 2
+  );
+}
+
+function schemaImpact(oldSchema, newSchema, json) {
+  const before = collectSchemaProperties(oldSchema, oldSchema);
+  const after = collectSchemaProperties(newSchema, newSchema);
+  const isSet = (segments) => configValuesAt(json, segments).length > 0;
+  const added = [...after.keys()].filter((id) => !before.has(id));
+  let removed = [...before.keys()].filter((id) => !after.has(id));
+  const renamed = [];
+  for (const id of removed) {
+    const { segments } = before.get(id);
+    const parent = formatSchemaPath(segments.slice(0, -1));
+    const match = added.find((candidate) => {
+      const next = after.get(candidate).segments;
+      return (
+        formatSchemaPath(next.slice(0, -1)) === parent &&
+        looksRenamed(segments.at(-1), next.at(-1))
+      );
+    });
+    if (match) {
+      renamed.push({ from: id, to: match });
+      added.splice(added.indexOf(match), 1);
+    }
+  }
+  const renamedFrom = new Set(renamed.map((entry) => entry.from));
+  removed = removed.filter((id) => !renamedFrom.has(id));
+  const reported = [];
+  const removedSet = removed.filter((id) => {
+    const { segments } = before.get(id);
+    if (!isSet(segments)) return false;
+    if (reported.some((prefix) => id.startsWith(`${prefix}.`))) return false;
+    reported.push(id);
+    return true;
+  });
+  const required = [...after.entries()]
+    .filter(([id, entry]) => entry.required && !before.get(id)?.required)
+    .filter(([, entry]) =>
+      configValuesAt(json, entry.segments.slice(0, -1)).some(
+        (parent) =>
+          isPlainObject(parent) &&
+          !Object.hasOwn(parent, entry.segments.at(-1)),
+      ),
+    )
+    .map(([id]) => id);
+  return {
+    removed: removedSet,
+    renamed: renamed.filter((entry) => isSet(before.get(entry.from).segments)),
+    required,
+  };
+}
+
+function printSchemaImpact(report, from, to) {
+  const lines = [
+    ...report.removed.map((id) => `- removed: ${id}`),
+    ...report.renamed.map((entry) => `~ renamed: ${entry.from} -> ${entry.to}`),
+    ...report.required.map((id) => `+ newly required: ${id}`),
+  ];
+  if (!lines.length) {
+    logInfo(`Schema ${from} -> ${to}: no changes affect the managed config.`);
+    return;
+  }
+  console.log(`Schema impact ${from} -> ${to}:`);
+  console.log(lines.join("\n"));
+}
+
+async function validateConfig(config) {
   const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
   const repoConfigPath = resolvePathWithBase(
     config.paths.repoConfig,
     configDir,
   );
-  const repoRoot = path.dirname(repoConfigPath);
-  const liveConfigPath = resolvePathWithBase(
-    config.paths.liveConfig,
+  const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
+  const raw = await fsp.readFile(repoConfigPath, "utf8");
+  const file = displayPath(repoConfigPath);
+  const parseErrors = [];
+  // secret refs only change string contents, so offsets in the raw file
+  // line up with the resolved config
+  const root = parseTree(raw, parseErrors, {
+    disallowComments: !allowsComments(repoConfigPath),
+    allowTrailingComma: allowsComments(repoConfigPath),
+  });
+  if (parseErrors.length) {
+    const issues = parseErrors
+      .filter((e, i) => i === 0 || e.offset !== parseErrors[i - 1].offset)
+      .map((e) => ({
+        path: [],
+        code: "invalid-json",
+        message: `invalid JSON: ${printParseErrorCode(e.error)
+          .replace(/([a-z])([A-Z])/g, "$1 $2")
+          .toLowerCase()}`,
+        ...offsetToPosition(raw, e.offset),
+      }));
+    throw validationError(
+      `Invalid JSON:\n${issues.map((issue) => formatIssue(issue, file, raw)).join("\n\n")}`,
+      file,
+      issues,
+    );
+  }
+  const rendered = await resolveSecretRefs(raw, configDir);
+  let json = null;
+  try {
+    json = parseConfigText(rendered.text, repoConfigPath);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${(err && err.message) || String(err)}`);
+  }
+  if (allowsComments(repoConfigPath)) {
+    rendered.text = `${JSON.stringify(json, null, 2)}\n`;
+  }
+  const schema = await loadSchema(schemaPath);
+  const issues = schemaIssues(json, schema).map((issue) => ({
+    ...issue,
+    ...locateIssue(raw, root, issue),
+  }));
+  if (issues.length) {
+    const detail = issues
+      .map((issue) => formatIssue(issue, file, raw))
+      .join("\n\n");
+    throw validationError(
+      `Schema validation failed (${issues.length} error${issues.length === 1 ? "" : "s"}):\n${detail}`,
+      file,
+      issues,
+    );
+  }
+  return rendered;
+}
+
+async function printValidationReport(config) {
+  infoToStderr = true;
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const file = displayPath(
+    resolvePathWithBase(config.paths.repoConfig, configDir),
+  );
+  let errors = [];
+  try {
+    await validateConfig(config);
+  } catch (err) {
+    errors = Array.isArray(err?.issues)
+      ? err.issues.map((issue) => ({
+          path: formatKeyPath(issue.path),
+          line: issue.line,
+          column: issue.column,
+          code: issue.code,
+          message: issue.message,
+          ...(issue.suggestion ? { suggestion: issue.suggestion } : {}),
+        }))
+      : [
+          {
+            code: "error",
+            message: String(err && err.message ? err.message : err),
+          },
+        ];
+  }
+  console.log(JSON.stringify({ file, valid: !errors.length, errors }, null, 2));
+  if (errors.length) process.exitCode = 1;
+}
+
+async function atomicWrite(destPath, data, mode) {
+  const dir = path.dirname(destPath);
+  await ensureDir(dir);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(destPath)}.tmp-${Date.now()}`,
+  );
+  await fsp.writeFile(tempPath, data, { encoding: "utf8", mode });
+  if (mode !== undefined) await fsp.chmod(tempPath, mode);
+  await fsp.rename(tempPath, destPath);
+}
+
+const SECRET_REF = /\$\{(env|file):([^}]+)\}/g;
+const LIVE_FILE_MODE = 0o600;
+const MIN_SECRET_LENGTH = 8;
+
+async function readSecretRef(kind, target, configDir) {
+  if (kind === "env") {
+    if (!Object.hasOwn(process.env, target)) {
+      throw new Error(`environment variable ${target} is not set`);
+    }
+    return process.env[target];
+  }
+  const filePath = resolvePathWithBase(target, configDir);
+  return (await fsp.readFile(filePath, "utf8")).replace(/\r?\n$/, "");
+}
+
+async function resolveSecretRefs(raw, configDir, options = {}) {
+  const secrets = new Map();
+  for (const [ref, kind, target] of raw.matchAll(SECRET_REF)) {
+    if (secrets.has(ref)) continue;
+    try {
+      secrets.set(ref, await readSecretRef(kind, target, configDir));
+    } catch (err) {
+      if (options.lenient) continue;
+      throw new Error(
+        `Cannot resolve ${ref}: ${String(err && err.message ? err.message : err)}`,
+      );
+    }
+  }
+  // refs live inside JSON strings, so substitute JSON-escaped values
+  const text = raw.replace(SECRET_REF, (ref) =>
+    secrets.has(ref) ? JSON.stringify(secrets.get(ref)).slice(1, -1) : ref,
+  );
+  return { text, secrets };
+}
+
+function knownSecrets(secrets) {
+  // longest first, and skip values too short to recognise safely
+  return [...secrets]
+    .filter(([, secret]) => secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b[1].length - a[1].length);
+}
+
+// only strings whose repo counterpart holds a reference are masked, and the
+// reference comes back only where the value is exactly what it resolves to;
+// anything else (a rotated secret) is handed to `onChanged`
+function hideSecrets(value, template, secrets, onChanged, segments = []) {
+  if (typeof value === "string") {
+    if (typeof template !== "string" || !template.match(SECRET_REF)) {
+      return value;
+    }
+    const resolved = template.replace(SECRET_REF, (ref) =>
+      secrets.has(ref) ? secrets.get(ref) : ref,
+    );
+    if (value === resolved) return template;
+    // the secret itself is unchanged inside edited text around it
+    let out = value;
+    for (const [ref, secret] of knownSecrets(secrets)) {
+      if (template.includes(ref)) out = out.split(secret).join(ref);
+    }
+    return out === value ? onChanged(value, template, segments) : out;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) =>
+      hideSecrets(
+        item,
+        Array.isArray(template) ? template[i] : undefined,
+        secrets,
+        onChanged,
+        [...segments, i],
+      ),
+    );
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        hideSecrets(
+          item,
+          isPlainObject(template) ? template[key] : undefined,
+          secrets,
+          onChanged,
+          [...segments, key],
+        ),
+      ]),
+    );
+  }
+  return value;
+}
+
+const SECRET_PATTERNS = [
+  ["anthropic-key", /sk-ant-[A-Za-z0-9_-]{20,}/],
+  ["openai-key", /sk-(?:proj-)?[A-Za-z0-9_-]{20,}/],
+  ["github-token", /(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_\w{40,})/],
+  ["gitlab-token", /glpat-[A-Za-z0-9_-]{20,}/],
+  ["slack-token", /xox[abposr]-[A-Za-z0-9-]{10,}/],
+  ["aws-access-key", /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/],
+  ["google-api-key", /AIza[0-9A-Za-z_-]{35}/],
+  ["stripe-key", /[sr]k_live_[0-9A-Za-z]{20,}/],
+  ["telegram-bot-token", /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/],
+  ["private-key", /-----BEGIN [A-Z ]*PRIVATE KEY-----/],
+];
+const SENSITIVE_KEY =
+  /(?:token|secret|password|passwd|api[_-]?key|private[_-]?key|access[_-]?key|credentials?)$/i;
+const REDACTED_MARKER = "[warden:redacted]";
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function classifySecret(key, value) {
+  // references are the sanctioned way to keep secrets in the repo
+  const literal = value.replace(SECRET_REF, "").trim();
+  if (!literal || literal === REDACTED_MARKER) return null;
+  for (const [rule, pattern] of SECRET_PATTERNS) {
+    if (pattern.test(literal)) return rule;
+  }
+  if (typeof key === "string" && SENSITIVE_KEY.test(key)) {
+    return "sensitive-key";
+  }
+  // model ids, paths and URLs join words with separators; tokens don't
+  if (
+    literal.length >= 24 &&
+    /^[A-Za-z0-9+_=]+$/.test(literal) &&
+    /[A-Za-z]/.test(literal) &&
+    /\d/.test(literal) &&
+    shannonEntropy(literal) >= 4
+  ) {
+    return "high-entropy";
+  }
+  return null;
+}
+
+function scanSecrets(value, allowPaths = [], segments = [], out = []) {
+  if (typeof value === "string") {
+    const at = formatKeyPath(segments);
+    const allowed = allowPaths.some(
+      (allow) =>
+        at === allow ||
+        at.startsWith(`${allow}.`) ||
+        at.startsWith(`${allow}[`),
+    );
+    const rule = allowed ? null : classifySecret(segments.at(-1), value);
+    if (rule) out.push({ path: segments, rule });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) =>
+      scanSecrets(item, allowPaths, [...segments, i], out),
+    );
+  } else if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      scanSecrets(item, allowPaths, [...segments, key], out);
+    }
+  }
+  return out;
+}
+
+// moves flagged values into <stateDir>/secrets and leaves ${file:...} refs
+// behind, so the working file, the commit and the live config stay in sync
+async function externalizeSecrets(config, filePath, raw, json, findings) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const secretsDir = path.join(resolveStateDir(config), "secrets");
+  const next = structuredClone(json);
+  for (const { path: segments } of findings) {
+    const parent = segments.slice(0, -1).reduce((node, seg) => node[seg], next);
+    const key = segments.at(-1);
+    const secretPath = path.join(
+      secretsDir,
+      formatKeyPath(segments).replace(/[^\w.-]+/g, "_"),
+    );
+    await atomicWrite(secretPath, `${parent[key]}\n`, LIVE_FILE_MODE);
+    const rel = path.relative(configDir, secretPath);
+    const target =
+      rel.startsWith("..") || path.isAbsolute(rel)
+        ? secretPath
+        : `./${toGitPath(rel)}`;
+    parent[key] = `\${file:${target}}`;
+  }
+  return updateConfigText(raw, next, filePath);
+}
+
+function describeFindings(findings) {
+  return findings
+    .map((finding) => `${formatKeyPath(finding.path)} (${finding.rule})`)
+    .join(", ");
+}
+
+async function guardSecrets(config, repoDir, files) {
+  const settings = config.secretScan || {};
+  if (settings.enabled === false) return;
+  for (const file of files) {
+    let raw = null;
+    let json = null;
+    try {
+      raw = await fsp.readFile(path.join(repoDir, file), "utf8");
+      json = parseConfigText(raw, file);
+    } catch {
+      continue;
+    }
+    const findings = scanSecrets(json, settings.allowPaths);
+    if (!findings.length) continue;
+    if (settings.action !== "redact") {
+      throw new Error(
+        `Refusing to commit ${file}, likely secrets at: ${describeFindings(findings)}. Use \${env:...} or \${file:...} references, or list the paths in secretScan.allowPaths.`,
+      );
+    }
+    logWarn(
+      `Moving likely secrets out of ${file} into ${path.join(resolveStateDir(config), "secrets")}: ${describeFindings(findings)}.`,
+    );
+    const filePath = path.join(repoDir, file);
+    const data = await externalizeSecrets(config, file, raw, json, findings);
+    ownWrites.set(filePath, sha256(data));
+    await atomicWrite(filePath, data);
+  }
+}
+
+async function scanManagedConfig(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
     configDir,
   );
-  await validateConfig(config);
-  await atomicCopy(repoConfigPath, liveConfigPath);
-  logInfo(`Pushed repo config -> live: ${liveConfigPath}`);
+  const findings = scanSecrets(
+    await readConfigFile(repoConfigPath),
+    config.secretScan?.allowPaths,
+  );
+  if (!findings.length) {
+    logInfo(`No likely secrets found in ${repoConfigPath}.`);
+    return;
+  }
+  for (const finding of findings) {
+    console.log(`${formatKeyPath(finding.path)}: ${finding.rule}`);
+  }
+  throw new Error(
+    `Found ${findings.length} likely secret(s) in ${repoConfigPath}.`,
+  );
+}
+
+async function restoreSecretRefs(liveRaw, repoRaw, configDir, repoPath) {
+  if (!repoRaw || !repoRaw.match(SECRET_REF)) return liveRaw;
+  const { secrets } = await resolveSecretRefs(repoRaw, configDir, {
+    lenient: true,
+  });
+  let template = null;
+  try {
+    template = parseConfigText(repoRaw, repoPath);
+  } catch {
+    template = null;
+  }
+  const live = JSON.parse(liveRaw);
+  const restored = hideSecrets(live, template, secrets, (value, ref, at) => {
+    logWarn(
+      `Live value at ${formatKeyPath(at)} no longer matches ${ref}; keeping it as a literal. Update the referenced secret to restore the reference.`,
+    );
+    return value;
+  });
+  return isDeepStrictEqual(restored, live)
+    ? liveRaw
+    : `${JSON.stringify(restored, null, 2)}\n`;
+}
+
+function resolveStateDir(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  return resolvePathWithBase(config.paths?.stateDir || "./state", configDir);
+}
+
+async function readRollbackState(config) {
+  const statePath = path.join(resolveStateDir(config), "rollback.json");
+  try {
+    const state = await readJson(statePath);
+    return {
+      knownGood: state?.knownGood ?? null,
+      bad: Array.isArray(state?.bad) ? state.bad : [],
+    };
+  } catch {
+    return { knownGood: null, bad: [] };
+  }
+}
+
+async function writeRollbackState(config, state) {
+  const statePath = path.join(resolveStateDir(config), "rollback.json");
+  await ensureDir(path.dirname(statePath));
+  await writeJson(statePath, state);
+}
+
+// files warden wrote itself, by content hash, so watchers can skip them
+const ownWrites = new Map();
+
+async function syncPull(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const repoRoot = path.dirname(repoConfigPath);
+  const liveConfigPath = resolvePathWithBase(
+    config.paths.liveConfig,
+    configDir,
+  );
+  if (!fs.existsSync(liveConfigPath)) {
+    throw new Error(`Live config not found: ${liveConfigPath}`);
+  }
+  await ensureDir(path.dirname(repoConfigPath));
+  const liveRaw = await fsp.readFile(liveConfigPath, "utf8");
+  const repoRaw = fs.existsSync(repoConfigPath)
+    ? await fsp.readFile(repoConfigPath, "utf8")
+    : null;
+  const restored = await restoreSecretRefs(
+    liveRaw,
+    repoRaw,
+    configDir,
+    repoConfigPath,
+  );
+  const data =
+    repoRaw && allowsComments(repoConfigPath)
+      ? updateConfigText(repoRaw, JSON.parse(restored), repoConfigPath)
+      : restored;
+  ownWrites.set(repoConfigPath, sha256(data));
+  await atomicWrite(repoConfigPath, data);
+  logInfo(`Pulled live config -> repo: ${repoConfigPath}`);
+
+  if (config.git?.enabled) {
+    const gitReady = await ensureGitRepo(
+      repoRoot,
+      Boolean(config.git?.autoInit),
+    );
+    if (gitReady) {
+      await gitCommitIfChanged(
+        repoRoot,
+        [path.relative(repoRoot, repoConfigPath)],
+        `sync pull ${nowIso()}`,
+        config,
+      );
+    }
+  }
+}
+
+// pushes and their verification run one at a time, whichever of the
+// watcher, the control socket or the CLI started them
+let pushQueue = Promise.resolve();
+
+function syncPush(config, options = {}) {
+  const run = pushQueue.then(() => pushAndVerify(config, options));
+  pushQueue = run.catch(() => {});
+  return run;
+}
+
+async function pushAndVerify(config, options) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const repoRoot = path.dirname(repoConfigPath);
+  const liveConfigPath = resolvePathWithBase(
+    config.paths.liveConfig,
+    configDir,
+  );
+  const relPath = path.relative(repoRoot, repoConfigPath);
+  const verify = options.verify ?? Boolean(config.rollback?.enabled);
+  await ensureLocalSchemaFresh(config);
+  let rendered = null;
+  try {
+    rendered = await validateConfig(config);
+  } catch (err) {
+    metrics.configRejected += 1;
+    await notifyEvent(
+      config,
+      "config-rejected",
+      `Config rejected: ${String(err && err.message ? err.message : err)}`,
+    );
+    throw err;
+  }
+  if (config.git?.enabled) {
+    // a commit the secret scan would block must not reach the live file
+    await guardSecrets(config, repoRoot, [relPath]);
+    // a clean working file is the committed revision; never re-push one
+    // that already failed verification, or drift pushes loop on it
+    const headRev = await gitFileRevision(repoRoot, relPath);
+    const { bad } = await readRollbackState(config);
+    if (headRev && bad.some((entry) => entry.rev === headRev)) {
+      throw new Error(
+        `Revision ${headRev.slice(0, 12)} failed its health check and was rolled back; commit a fix or use config:rollback instead of pushing it again.`,
+      );
+    }
+  }
+  const previousLive = fs.existsSync(liveConfigPath)
+    ? await fsp.readFile(liveConfigPath, "utf8")
+    : null;
+  await atomicWrite(liveConfigPath, rendered.text, LIVE_FILE_MODE);
+  logInfo(`Pushed repo config -> live: ${liveConfigPath}`);
+  metrics.configPush += 1;
+
+  let gitReady = false;
+  if (config.git?.enabled) {
+    gitReady = await ensureGitRepo(repoRoot, Boolean(config.git?.autoInit));
+    if (gitReady) {
+      await gitCommitIfChanged(
+        repoRoot,
+        [relPath],
+        options.message || `sync push ${nowIso()}`,
+        config,
+      );
+    }
+  }
+
+  const rev = gitReady ? await gitFileRevision(repoRoot, relPath) : null;
+  const pushedMessage = `Pushed config${rev ? ` ${rev.slice(0, 12)}` : ""} to ${liveConfigPath}`;
+  if (!verify) {
+    await notifyEvent(config, "config-push", pushedMessage, { rev });
+    return;
+  }
+  const id = `push-${Date.now()}`;
+  const healthy = await verifyPush(config, id);
+  if (healthy) {
+    if (rev) {
+      const state = await readRollbackState(config);
+      await writeRollbackState(config, { ...state, knownGood: rev });
+    }
+    logInfo(`Pushed config passed health check${rev ? ` (${rev})` : ""}.`);
+    await notifyEvent(config, "config-push", pushedMessage, { rev });
+    return;
+  }
+
+  const goodRev = await rollbackPush(config, {
+    id,
+    repoRoot,
+    relPath,
+    liveConfigPath,
+    badRev: rev,
+    previousLive,
+  });
+  throw new Error(
+    `Pushed config failed health check; rolled back live config to ${goodRev}.`,
+  );
+}
+
+async function verifyPush(config, id) {
+  const rb = config.rollback || {};
+  if (!hasProbes(config)) {
+    logWarn(
+      "Heartbeat checkCommand/probes not configured. Skipping push verification.",
+    );
+    return true;
+  }
+  const graceMs = Math.max(0, Number(rb.graceSeconds ?? 60)) * 1000;
+  const intervalMs = Math.max(1, Number(rb.intervalSeconds ?? 10)) * 1000;
+  const required = Math.max(1, Number(rb.healthyChecks ?? 3));
+  const deadline = Date.now() + graceMs;
+  logInfo(
+    `Verifying pushed config (${required} healthy check(s) in a row, grace ${graceMs / 1000}s)...`,
+  );
+  // a crash-looping gateway can pass one probe between restarts, so only a
+  // run of passes counts; a run still going at the deadline may finish
+  let streak = 0;
+  do {
+    await sleep(intervalMs);
+    streak = (await runProbes(config, id)).ok ? streak + 1 : 0;
+    if (streak >= required) return true;
+  } while (Date.now() < deadline || streak > 0);
+  return false;
+}
+
+async function rollbackPush(config, context) {
+  const { id, repoRoot, relPath, liveConfigPath, badRev, previousLive } =
+    context;
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const state = await readRollbackState(config);
+  let goodRev = null;
+  let data = null;
+  const candidates = [state.knownGood];
+  if (badRev) {
+    candidates.push(await gitPreviousRevision(repoRoot, badRev, relPath));
+  }
+  for (const rev of candidates) {
+    if (!rev || rev === badRev) continue;
+    try {
+      const raw = await gitShowFile(repoRoot, rev, relPath);
+      if (raw.includes(REDACTED_MARKER)) {
+        throw new Error("revision was committed with redacted secrets");
+      }
+      data = toLiveText(
+        (await resolveSecretRefs(raw, configDir)).text,
+        relPath,
+      );
+      goodRev = rev;
+      break;
+    } catch (err) {
+      logWarn(
+        `Cannot restore ${rev}: ${String(err && err.message ? err.message : err)}`,
+      );
+    }
+  }
+  if (data === null && previousLive !== null) {
+    data = previousLive;
+    goodRev = "previous live config";
+  }
+  if (data === null) {
+    throw new Error(
+      "Pushed config failed health check and no known-good config is available.",
+    );
+  }
+
+  logWarn(`Pushed config failed health check. Rolling back to ${goodRev}...`);
+  await atomicWrite(liveConfigPath, data, LIVE_FILE_MODE);
+  logInfo(`Restored live config: ${liveConfigPath}`);
+  const gate = await claimRestart(
+    config,
+    id,
+    "pushed config failed health check",
+  );
+  if (!gate.breaker) await restartGateway(config, id);
+
+  const bad = [
+    ...state.bad,
+    { rev: badRev, at: nowIso(), restoredTo: goodRev },
+  ].slice(-20);
+  await writeRollbackState(config, { ...state, bad });
+  await notifyEvent(
+    config,
+    "rollback",
+    `Pushed config ${badRev ? badRev.slice(0, 12) : ""} failed health check; rolled back to ${goodRev}`,
+    { badRev, goodRev },
+  );
+
+  const notifyCommand = config.rollback?.notifyCommand;
+  if (notifyCommand) {
+    await runNotify(config, notifyCommand, {
+      id,
+      badRev: badRev ? badRev.slice(0, 12) : "unknown",
+      goodRev: goodRev.length === 40 ? goodRev.slice(0, 12) : goodRev,
+    });
+  }
+  return goodRev;
+}
+
+function resolveManagedRepo(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const repoRoot = path.dirname(repoConfigPath);
+  if (!fs.existsSync(path.join(repoRoot, ".git"))) {
+    throw new Error(`Config repo is not a git repository: ${repoRoot}`);
+  }
+  return {
+    repoConfigPath,
+    repoRoot,
+    relPath: path.relative(repoRoot, repoConfigPath),
+  };
+}
+
+async function showHistory(config) {
+  const { repoRoot, relPath } = resolveManagedRepo(config);
+  const res = await execGit(
+    ["log", "--format=%H%x09%cI%x09%s", "--", relPath],
+    repoRoot,
+  );
+  if (res.code !== 0) {
+    throw new Error(`git log failed: ${formatExecError(res)}`);
+  }
+  const state = await readRollbackState(config);
+  const badRevs = new Set(state.bad.map((entry) => entry.rev));
+  const lines = res.stdout.split("\n").filter(Boolean);
+  if (!lines.length) {
+    logInfo("No history for managed config yet.");
+    return;
+  }
+  for (const line of lines) {
+    const [hash, timestamp, subject = ""] = line.split("\t");
+    const marks = [];
+    if (hash === state.knownGood) marks.push("known-good");
+    if (badRevs.has(hash)) marks.push("rolled back");
+    const suffix = marks.length ? `  [${marks.join(", ")}]` : "";
+    console.log(
+      `${hash.slice(0, 12)}  ${timestamp}  ${describeCommitSource(subject).padEnd(8)}  ${subject}${suffix}`,
+    );
+  }
+}
+
+async function showRevision(config, rev) {
+  if (!rev) {
+    throw new Error("Usage: config:show <rev>");
+  }
+  const { repoRoot, relPath } = resolveManagedRepo(config);
+  const resolved = await gitResolveRevision(repoRoot, rev);
+  const data = await gitShowFile(repoRoot, resolved, relPath);
+  process.stdout.write(data.endsWith("\n") ? data : `${data}\n`);
+}
+
+async function rollbackConfig(config, rev, options = {}) {
+  if (!rev) {
+    throw new Error("Usage: config:rollback <rev>");
+  }
+  const { repoConfigPath, repoRoot, relPath } = resolveManagedRepo(config);
+  const status = await execGit(
+    ["status", "--porcelain", "--", relPath],
+    repoRoot,
+  );
+  if (status.code !== 0) {
+    throw new Error(`git status failed: ${formatExecError(status)}`);
+  }
+  if (status.stdout.trim()) {
+    throw new Error(
+      `${relPath} has uncommitted changes; commit or discard them before rolling back.`,
+    );
+  }
+  const resolved = await gitResolveRevision(repoRoot, rev);
+  const shortRev = resolved.slice(0, 12);
+  const data = await gitShowFile(repoRoot, resolved, relPath);
+  if (data.includes(REDACTED_MARKER)) {
+    throw new Error(
+      `Revision ${shortRev} was committed with redacted secrets; restore it by hand.`,
+    );
+  }
+  const current = await fsp.readFile(repoConfigPath, "utf8");
+  if (data === current) {
+    logInfo(`Managed config already matches ${shortRev}.`);
+  }
+  await atomicWrite(repoConfigPath, data);
+  try {
+    await validateConfig(config);
+  } catch (err) {
+    await atomicWrite(repoConfigPath, current);
+    throw new Error(
+      `Revision ${shortRev} does not validate: ${String(err && err.message ? err.message : err)}`,
+    );
+  }
+  logInfo(`Checked out ${shortRev} into ${repoConfigPath}`);
+  await syncPush(config, {
+    verify: options.verify,
+    message: `rollback to ${shortRev} ${nowIso()}`,
+  });
+  await notifyEvent(config, "rollback", `Config rolled back to ${shortRev}`, {
+    rev: resolved,
+  });
+}
+
+async function initWarden(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const repoRoot = path.dirname(repoConfigPath);
+  const liveConfigPath = resolvePathWithBase(
+    config.paths.liveConfig,
+    configDir,
+  );
+  await ensureDir(path.dirname(repoConfigPath));
+
+  if (fs.existsSync(liveConfigPath) && !fs.existsSync(repoConfigPath)) {
+    const liveRaw = await fsp.readFile(liveConfigPath, "utf8");
+    const live = parseConfigText(liveRaw, liveConfigPath);
+    // a commented repo format starts from a formatted copy to annotate
+    const data = allowsComments(repoConfigPath)
+      ? `${JSON.stringify(live, null, 2)}\n`
+      : liveRaw;
+    ownWrites.set(repoConfigPath, sha256(data));
+    await atomicWrite(repoConfigPath, data);
+    logInfo(`Seeded repo config from live: ${repoConfigPath}`);
+  } else if (!fs.existsSync(repoConfigPath)) {
+    await writeJson(repoConfigPath, {});
+    logInfo(`Created empty repo config: ${repoConfigPath}`);
+  }
+
+  if (config.git?.enabled) {
+    const gitReady = await ensureGitRepo(
+      repoRoot,
+      Boolean(config.git?.autoInit),
+    );
+    if (gitReady) {
+      await gitCommitIfChanged(
+        repoRoot,
+        [path.relative(repoRoot, repoConfigPath)],
+        `init ${nowIso()}`,
+        config,
+      );
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function formatKeyPath(segments) {
+  let out = "";
+  for (const seg of segments) {
+    if (typeof seg === "number") {
+      out += `[${seg}]`;
+    } else if (/^[A-Za-z_$][\w$-]*$/.test(seg)) {
+      out += out ? `.${seg}` : seg;
+    } else {
+      out += `[${JSON.stringify(seg)}]`;
+    }
+  }
+  return out || "(root)";
+}
+
+function diffJson(before, after, segments = [], out = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const inBefore = Object.hasOwn(before, key);
+      const inAfter = Object.hasOwn(after, key);
+      if (!inBefore) {
+        out.push({
+          kind: "added",
+          path: [...segments, key],
+          after: after[key],
+        });
+      } else if (!inAfter) {
+        out.push({
+          kind: "removed",
+          path: [...segments, key],
+          before: before[key],
+        });
+      } else {
+        diffJson(before[key], after[key], [...segments, key], out);
+      }
+    }
+    return out;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i += 1) {
+      if (i >= before.length) {
+        out.push({ kind: "added", path: [...segments, i], after: after[i] });
+      } else if (i >= after.length) {
+        out.push({
+          kind: "removed",
+          path: [...segments, i],
+          before: before[i],
+        });
+      } else {
+        diffJson(before[i], after[i], [...segments, i], out);
+      }
+    }
+    return out;
+  }
+  if (before !== after) {
+    out.push({ kind: "changed", path: segments, before, after });
+  }
+  return out;
+}
+
+function formatDiffEntry(entry) {
+  const at = formatKeyPath(entry.path);
+  if (entry.kind === "added") {
+    return `+ ${at}: ${JSON.stringify(entry.after)}`;
+  }
+  if (entry.kind === "removed") {
+    return `- ${at}: ${JSON.stringify(entry.before)}`;
+  }
+  return `~ ${at}: ${JSON.stringify(entry.before)} -> ${JSON.stringify(entry.after)}`;
+}
+
+async function detectDrift(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const liveConfigPath = resolvePathWithBase(
+    config.paths.liveConfig,
+    configDir,
+  );
+  if (!fs.existsSync(repoConfigPath)) {
+    throw new Error(`Repo config not found: ${repoConfigPath}`);
+  }
+  if (!fs.existsSync(liveConfigPath)) {
+    throw new Error(`Live config not found: ${liveConfigPath}`);
+  }
+  const repoRaw = await fsp.readFile(repoConfigPath, "utf8");
+  const { text, secrets } = await resolveSecretRefs(repoRaw, configDir);
+  const repoJson = parseConfigText(text, repoConfigPath);
+  const liveJson = await readJson(liveConfigPath);
+  const template = parseConfigText(repoRaw, repoConfigPath);
+  const mask = (value, at) =>
+    hideSecrets(
+      value,
+      at.reduce((node, key) => node?.[key], template),
+      secrets,
+      (_, ref) => `[changed from ${ref}]`,
+      at,
+    );
+  return {
+    repoConfigPath,
+    liveConfigPath,
+    changes: diffJson(repoJson, liveJson).map((entry) => ({
+      ...entry,
+      ...(Object.hasOwn(entry, "before")
+        ? { before: mask(entry.before, entry.path) }
+        : {}),
+      ...(Object.hasOwn(entry, "after")
+        ? { after: mask(entry.after, entry.path) }
+        : {}),
+    })),
+  };
+}
+
+async function showDiff(config) {
+  const { repoConfigPath, liveConfigPath, changes } = await detectDrift(config);
+  if (!changes.length) {
+    logInfo("Live config matches repo config.");
+    return;
+  }
+  console.log(`--- repo: ${repoConfigPath}`);
+  console.log(`+++ live: ${liveConfigPath}`);
+  for (const entry of changes) {
+    console.log(formatDiffEntry(entry));
+  }
+}
+
+const BUNDLED_MIGRATIONS_DIR = path.join(SCRIPT_DIR, "migrations");
+
+function compareSchemaVersions(a, b) {
+  const parse = (version) =>
+    (/^v?(\d+(?:\.\d+)*)/.exec(version)?.[1] || "").split(".").map(Number);
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff) return diff;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+function isNumericVersion(version) {
+  return /^v?\d+(\.\d+)*/.test(version);
+}
+
+async function loadMigrations(dir, prefix = "") {
+  let names = [];
+  try {
+    names = await fsp.readdir(dir);
+  } catch {
+    return [];
+  }
+  const migrations = [];
+  for (const name of names.filter((entry) => /\.m?js$/.test(entry)).sort()) {
+    const file = path.join(dir, name);
+    const mod = await import(pathToFileURL(file).href);
+    const migrate =
+      typeof mod.migrate === "function" ? mod.migrate : mod.default;
+    if (
+      typeof migrate !== "function" ||
+      typeof mod.applies !== "function" ||
+      !mod.version
+    ) {
+      throw new Error(
+        `Invalid migration ${file}: export a version, an applies check and a migrate function`,
+      );
+    }
+    migrations.push({
+      id: `${prefix}${name.replace(/\.m?js$/, "")}`,
+      version: String(mod.version),
+      description: mod.description || "",
+      applies: mod.applies,
+      migrate,
+    });
+  }
+  return migrations;
+}
+
+async function migrateConfig(config, targetVersion, options = {}) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  const repoRoot = path.dirname(repoConfigPath);
+  const active = await readActiveSchema(config);
+  const version = targetVersion || active?.version;
+  if (!version) {
+    throw new Error(
+      "No active schema version; run schema:update or pass one: config:migrate <version>",
+    );
+  }
+  const versionPath = schemaVersionPath(config, version);
+  let schemaPath = versionPath;
+  if (!fs.existsSync(versionPath)) {
+    if (version !== active?.version) {
+      throw new Error(`Unknown schema version: ${version}`);
+    }
+    schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
+  }
+  const schema = await loadSchema(schemaPath);
+
+  const migrationsDir = resolvePathWithBase(
+    config.migrations?.dir || "./migrations",
+    configDir,
+  );
+  // bundled migrations sort ahead of user ones for the same version
+  const candidates = [
+    ...(await loadMigrations(BUNDLED_MIGRATIONS_DIR, "bundled:")),
+    ...(await loadMigrations(migrationsDir)),
+  ]
+    .filter(
+      (migration) =>
+        !isNumericVersion(version) ||
+        compareSchemaVersions(migration.version, version) <= 0,
+    )
+    .sort((a, b) => compareSchemaVersions(a.version, b.version));
+
+  const raw = await fsp.readFile(repoConfigPath, "utf8");
+  const before = parseConfigText(raw, repoConfigPath);
+  let migrated = structuredClone(before);
+  // whether a migration is due is read from the config itself, so a restored
+  // or rolled-back config gets migrated again
+  const pending = [];
+  for (const migration of candidates) {
+    if (!(await migration.applies(migrated))) continue;
+    pending.push(migration);
+    const label = migration.description
+      ? `${migration.id} (${migration.description})`
+      : migration.id;
+    logInfo(`Applying migration ${label}`);
+    try {
+      const result = await migration.migrate(migrated, {
+        version: migration.version,
+        targetVersion: version,
+      });
+      if (result !== undefined) migrated = result;
+      if (await migration.applies(migrated)) {
+        throw new Error("its applies check still matches after migrating");
+      }
+    } catch (err) {
+      throw new Error(
+        `Migration ${migration.id} failed: ${String(err && err.message ? err.message : err)}`,
+      );
+    }
+  }
+
+  const changes = diffJson(before, migrated);
+  for (const entry of changes) {
+    console.log(formatDiffEntry(entry));
+  }
+  const data = changes.length
+    ? updateConfigText(raw, migrated, repoConfigPath)
+    : raw;
+  const { text } = await resolveSecretRefs(data, configDir);
+  const errors = validateAgainstSchema(
+    parseConfigText(text, repoConfigPath),
+    schema,
+  );
+  if (errors.length) {
+    throw new Error(
+      `${pending.length ? "Migrated config" : "Managed config"} does not validate against schema ${version}; nothing was written:\n${errors.join("\n")}`,
+    );
+  }
+  if (options.dryRun) {
+    logInfo(
+      `Dry run: ${pending.length} migration(s), ${changes.length} change(s); nothing was written.`,
+    );
+    return;
+  }
+
+  if (changes.length) {
+    ownWrites.set(repoConfigPath, sha256(data));
+    await atomicWrite(repoConfigPath, data);
+    if (config.git?.enabled) {
+      const gitReady = await ensureGitRepo(
+        repoRoot,
+        Boolean(config.git?.autoInit),
+      );
+      if (gitReady) {
+        // throws when the secret scan blocks the commit
+        await gitCommitIfChanged(
+          repoRoot,
+          [path.relative(repoRoot, repoConfigPath)],
+          `migrate to ${version} ${nowIso()}`,
+          config,
+        );
+      }
+    }
+  }
+  // the next push validates against schemaFile, so make the target current
+  if (version !== active?.version) {
+    await activateSchema(config, version, schema, {
+      source: active?.source,
+      pinned: Boolean(active?.pinned),
+      ...(active?.source === "local" && version.startsWith("v")
+        ? { openclawVersion: version.slice(1) }
+        : {}),
+    });
+    logInfo(`Schema ${version} is now active.`);
+  }
+  logInfo(
+    pending.length
+      ? `Migrated ${repoConfigPath} to schema ${version} (${pending.length} migration(s), ${changes.length} change(s)).`
+      : `No migrations apply to the managed config for schema ${version}.`,
+  );
+}
+
+async function checkDrift(config) {
+  const action = config.drift?.action || "warn";
+  let changes = [];
+  try {
+    ({ changes } = await detectDrift(config));
+  } catch (err) {
+    logWarn(
+      `Drift check failed: ${String(err && err.message ? err.message : err)}`,
+    );
+    return;
+  }
+  if (!changes.length) return;
+  const paths = changes.map((entry) => formatKeyPath(entry.path));
+  const preview = paths.slice(0, 5).join(", ");
+  const more = paths.length > 5 ? ` (+${paths.length - 5} more)` : "";
+  logWarn(
+    `Live config drifted from repo at ${changes.length} path(s): ${preview}${more}`,
+  );
+  try {
+    if (action === "pull") {
+      await syncPull(config);
+    } else if (action === "push") {
+      await syncPush(config);
+    }
+  } catch (err) {
+    logError(
+      `Drift ${action} failed: ${String(err && err.message ? err.message : err)}`,
+    );
+  }
+}
+
+async function watchConfig(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  if (!fs.existsSync(repoConfigPath)) {
+    throw new Error(`Repo config not found: ${repoConfigPath}`);
+  }
+  const settings = config.watcher || {};
+  const debounceMs = Number(settings.debounceMs ?? 400);
+  const pollMs = Math.max(1, Number(settings.pollSeconds ?? 10)) * 1000;
+  logInfo(
+    `Watching ${repoConfigPath} for changes${settings.usePolling ? ` (polling every ${pollMs / 1000}s)` : ""}...`,
+  );
+  let lastHash = await fileSha256(repoConfigPath);
+  let missing = false;
+  let timer = null;
+  let queue = Promise.resolve();
+  const check = async () => {
+    let hash = null;
+    try {
+      hash = await fileSha256(repoConfigPath);
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+    }
+    if (!hash) {
+      if (!missing) {
+        logWarn(`${repoConfigPath} was removed; waiting for it to return.`);
+      }
+      missing = true;
+      return;
+    }
+    if (missing) {
+      missing = false;
+      logInfo(`${repoConfigPath} is back.`);
+    }
+    if (hash === lastHash) return;
+    lastHash = hash;
+    if (ownWrites.get(repoConfigPath) === hash) {
+      ownWrites.delete(repoConfigPath);
+      return;
+    }
+    // a pull from another warden process leaves repo and live identical
+    const liveHash = await fileSha256(
+      resolvePathWithBase(config.paths.liveConfig, configDir),
+    ).catch(() => null);
+    const rendered = await fsp
+      .readFile(repoConfigPath, "utf8")
+      .then((raw) => resolveSecretRefs(raw, configDir))
+      .then(({ text }) => toLiveText(text, repoConfigPath))
+      .catch(() => null);
+    if (rendered && sha256(rendered) === liveHash) return;
+    try {
+      await syncPush({ ...config });
+      logInfo("Applied config after change.");
+    } catch (err) {
+      logError(String(err && err.message ? err.message : err));
+    }
+  };
+  const run = () => {
+    queue = queue.then(check).catch((err) => {
+      logError(
+        `Config watcher check failed: ${String(err && err.message ? err.message : err)}`,
+      );
+    });
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  };
+  const loop = (metrics.loops.watcher = { startedAt: Date.now(), alive: true });
+  let watcher = null;
+  if (!settings.usePolling) {
+    // watch the directory: rename-and-replace saves and git checkouts swap
+    // the inode, which leaves a file watch attached to the old one
+    watcher = fs.watch(
+      path.dirname(repoConfigPath),
+      { persistent: true },
+      (event, filename) => {
+        if (!filename || filename === path.basename(repoConfigPath)) {
+          schedule();
+        }
+      },
+    );
+    watcher.on("error", (err) => {
+      logWarn(
+        `Config watcher failed, relying on polling: ${String(err && err.message ? err.message : err)}`,
+      );
+      watcher.close();
+      watcher = null;
+    });
+  }
+  const poller = setInterval(run, pollMs);
+  await markLoopRunning(config, "watcher");
+  return {
+    path: repoConfigPath,
+    close: () => {
+      clearTimeout(timer);
+      clearInterval(poller);
+      watcher?.close();
+      loop.alive = false;
+    },
+  };
+}
+
+function replaceConfig(target, next) {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, next);
+}
+
+async function reloadWardenConfig(config, services) {
+  let next = null;
+  try {
+    next = (await loadConfig()).config;
+  } catch (err) {
+    logError(
+      `Rejected warden config change, keeping the running config: ${String(err && err.message ? err.message : err)}`,
+    );
+    return false;
+  }
+  if (JSON.stringify(next) === JSON.stringify(config)) return false;
+  const previous = { ...config };
+  // loops read their settings from this object, so swap it in one step
+  replaceConfig(config, next);
+  logInfo(`Reloaded ${config.__configPath}.`);
+  heartbeatController?.reschedule();
+  if (services.watcher) {
+    const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+    const repoConfigPath = resolvePathWithBase(
+      config.paths.repoConfig,
+      configDir,
+    );
+    if (repoConfigPath !== services.watcher.path) {
+      try {
+        const watcher = await watchConfig(config);
+        services.watcher.close();
+        services.watcher = watcher;
+      } catch (err) {
+        logError(
+          `Still watching ${services.watcher.path}: ${String(err && err.message ? err.message : err)}`,
+        );
+      }
+    }
+  }
+  if (JSON.stringify(previous.metrics) !== JSON.stringify(config.metrics)) {
+    // the new server usually binds the same port, so it has to be free first
+    await closeMetricsServer(services.metricsServer);
+    services.metricsServer = startMetricsServer(config);
+  }
+  return true;
+}
+
+function watchWardenConfig(config, services) {
+  const configPath = config.__configPath || DEFAULT_CONFIG_PATH;
+  let timer = null;
+  let pending = Promise.resolve();
+  // watch the directory: editors often save by replacing the file
+  const watcher = fs.watch(path.dirname(configPath), (event, filename) => {
+    if (filename && filename !== path.basename(configPath)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      pending = pending
+        .then(() => reloadWardenConfig(config, services))
+        .catch((err) => {
+          logError(
+            `Warden config reload failed: ${String(err && err.message ? err.message : err)}`,
+          );
+        });
+    }, 400);
+  });
+  watcher.on("error", (err) => {
+    logError(
+      `Warden config watcher failed: ${String(err && err.message ? err.message : err)}`,
+    );
+  });
+  logInfo(`Watching ${configPath} for warden config changes...`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const PROBE_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = {
+  startedAt: Date.now(),
+  heartbeat: { success: 0, failure: 0 },
+  missedTicks: 0,
+  restarts: 0,
+  lastCheckAt: null,
+  lastSuccessAt: null,
+  configPush: 0,
+  configRejected: 0,
+  probes: {},
+  loops: {},
+};
+
+function observeProbe(name, durationMs) {
+  const entry = (metrics.probes[name] ||= {
+    buckets: PROBE_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  });
+  const seconds = durationMs / 1000;
+  PROBE_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) entry.buckets[i] += 1;
+  });
+  entry.sum += seconds;
+  entry.count += 1;
+}
+
+function describeFailure(label, res) {
+  if (res.timedOut) return `${label} ${formatExecError(res)}`;
+  const detail = (res.stderr || res.stdout || "").trim().split("\n").pop();
+  return `${label} exited with code ${res.code}${detail ? `: ${detail}` : ""}`;
+}
+
+async function runProbe(name, template, config, id) {
+  const startedAt = Date.now();
+  const res = await execShell(buildCommand(template, config, { id }), {
+    timeoutMs: name === "check" ? commandTimeouts.check : commandTimeouts.probe,
+  });
+  const result = {
+    name,
+    ok: res.code === 0 && !res.timedOut,
+    code: res.code,
+    durationMs: Date.now() - startedAt,
+  };
+  if (res.timedOut) result.timedOut = true;
+  if (!result.ok) result.reason = describeFailure(name, res);
+  observeProbe(name, result.durationMs);
+  return result;
+}
+
+function extractJson(text) {
+  if (!text) return null;
+  const lines = text.split(/\r?\n/).filter(Boolean);
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    const line = lines[i].trim();
+    if (!line.startsWith("{")) continue;
+    try {
+      return JSON.parse(line);
+    } catch {
+      // keep searching
+    }
+  }
+  const lastBrace = text.lastIndexOf("{");
+  if (lastBrace >= 0) {
+    try {
+      return JSON.parse(text.slice(lastBrace).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function readJsonPath(value, jsonPath) {
+  const segments = String(jsonPath).match(/[^.[\]]+/g) || [];
+  let current = value;
+  for (const seg of segments) {
+    if (current === null || typeof current !== "object") {
+      return { found: false };
+    }
+    const key = Array.isArray(current) ? Number(seg) : seg;
+    if (!Object.hasOwn(current, key)) return { found: false };
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+function checkJsonPath(data, probe) {
+  if (!probe.jsonPath) return null;
+  const { found, value } = readJsonPath(data, probe.jsonPath);
+  if (!found) return `${probe.jsonPath} is missing`;
+  if (Object.hasOwn(probe, "equals")) {
+    if (JSON.stringify(value) !== JSON.stringify(probe.equals)) {
+      return `${probe.jsonPath} is ${JSON.stringify(value)}, expected ${JSON.stringify(probe.equals)}`;
+    }
+    return null;
+  }
+  return value ? null : `${probe.jsonPath} is ${JSON.stringify(value)}`;
+}
+
+function timeoutError(timeoutMs) {
+  const err = new Error(`timed out after ${timeoutMs / 1000}s`);
+  err.name = "TimeoutError";
+  return err;
+}
+
+async function probeHttp(probe, { timeoutMs }) {
+  const res = await fetch(probe.url, {
+    method: probe.method || "GET",
+    headers: probe.headers,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const body = await res.text();
+  const expectStatus = probe.expectStatus ?? 200;
+  if (res.status !== expectStatus) {
+    return `HTTP ${res.status}, expected ${expectStatus}`;
+  }
+  if (!probe.jsonPath) return null;
+  let data = null;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    return "response body is not JSON";
+  }
+  return checkJsonPath(data, probe);
+}
+
+async function probeTcp(probe, { timeoutMs }) {
+  await new Promise((resolve, reject) => {
+    const socket = net.connect({
+      host: probe.host || "127.0.0.1",
+      port: probe.port,
+    });
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(timeoutError(timeoutMs));
+    });
+    socket.once("connect", () => {
+      socket.end();
+      resolve();
+    });
+    socket.once("error", reject);
+  });
+  return null;
+}
+
+async function probeWebSocket(probe, { timeoutMs }) {
+  const url = new URL(probe.url);
+  const secure = url.protocol === "wss:";
+  const key = crypto.randomBytes(16).toString("base64");
+  const expectedAccept = crypto
+    .createHash("sha1")
+    .update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+    .digest("base64");
+  return await new Promise((resolve, reject) => {
+    const req = (secure ? https : http).request({
+      hostname: url.hostname,
+      port: url.port || (secure ? 443 : 80),
+      path: `${url.pathname}${url.search}`,
+      headers: {
+        ...probe.headers,
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Version": "13",
+        "Sec-WebSocket-Key": key,
+      },
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(timeoutError(timeoutMs)));
+    req.on("upgrade", (res, socket) => {
+      socket.destroy();
+      resolve(
+        res.headers["sec-websocket-accept"] === expectedAccept
+          ? null
+          : "handshake returned an invalid Sec-WebSocket-Accept",
+      );
+    });
+    req.on("response", (res) => {
+      res.resume();
+      resolve(`HTTP ${res.statusCode}, expected 101 Switching Protocols`);
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function probeCommand(probe, { config, id, timeoutMs, vars }) {
+  const res = await execShell(
+    buildCommand(probe.command, config, { id, ...vars }),
+    { timeoutMs },
+  );
+  if (res.timedOut) throw timeoutError(timeoutMs);
+  if (res.code !== 0) return describeFailure("command", res);
+  if (!probe.jsonPath) return null;
+  const data = extractJson(res.stdout);
+  if (!data) return "no JSON object in command output";
+  return checkJsonPath(data, probe);
+}
+
+const NATIVE_PROBES = {
+  http: probeHttp,
+  tcp: probeTcp,
+  websocket: probeWebSocket,
+  command: probeCommand,
+};
+
+function describeProbeError(err, timeoutMs) {
+  if (err?.name === "TimeoutError")
+    return `timed out after ${timeoutMs / 1000}s`;
+  return String(err?.cause?.code || err?.cause?.message || err?.message || err);
+}
+
+const DEFAULT_AGENT_COMMAND =
+  "openclaw agent --agent {agentId} -m healthcheck --json --timeout 60";
+
+async function listConfiguredAgents(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const repoConfigPath = resolvePathWithBase(
+    config.paths.repoConfig,
+    configDir,
+  );
+  let data = null;
+  try {
+    data = await readConfigFile(repoConfigPath);
+  } catch (err) {
+    logWarn(`Cannot read agents from ${repoConfigPath}: ${String(err)}`);
+  }
+  const list = Array.isArray(data?.agents)
+    ? data.agents
+    : Array.isArray(data?.agents?.list)
+      ? data.agents.list
+      : [];
+  const ids = list
+    .map((agent) => (typeof agent === "string" ? agent : agent?.id))
+    .filter(Boolean);
+  if (ids.length) return [...new Set(ids)];
+  return [config.heartbeat?.agentProbe?.fallbackAgentId || "main"];
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+async function runAgentProbes(probe, config, id) {
+  const agentIds =
+    !probe.agents || probe.agents === "all"
+      ? await listConfiguredAgents(config)
+      : probe.agents;
+  const timeoutMs = Math.max(0.1, Number(probe.timeoutSeconds ?? 90)) * 1000;
+  const settings = probe.command
+    ? probe
+    : { command: DEFAULT_AGENT_COMMAND, jsonPath: "status", equals: "ok" };
+  const results = await mapWithConcurrency(
+    agentIds,
+    Math.max(1, Number(probe.concurrency ?? 2)),
+    async (agentId) => {
+      const name = `agent:${agentId}`;
+      const startedAt = Date.now();
+      let reason = null;
+      let timedOut = false;
+      try {
+        reason = await probeCommand(settings, {
+          config,
+          id,
+          timeoutMs,
+          vars: { agentId },
+        });
+      } catch (err) {
+        reason = describeProbeError(err, timeoutMs);
+        timedOut = err?.name === "TimeoutError";
+      }
+      const result = {
+        name,
+        type: "agent",
+        agentId,
+        ok: !reason,
+        durationMs: Date.now() - startedAt,
+        severity: probe.severities?.[agentId] || probe.severity || "restart",
+      };
+      if (reason) result.reason = `agent ${agentId}: ${reason}`;
+      if (timedOut) result.timedOut = true;
+      observeProbe(name, result.durationMs);
+      return result;
+    },
+  );
+  logInfo(
+    `Agent probes: ${results
+      .map(
+        (r) =>
+          `${r.agentId} ${r.ok ? "ok" : "FAILED"} ${(r.durationMs / 1000).toFixed(1)}s`,
+      )
+      .join(", ")}`,
+  );
+  return results;
+}
+
+async function runNativeProbe(probe, index, config, id) {
+  const name = probe.name || `${probe.type}#${index}`;
+  const timeoutMs = Math.max(0.1, Number(probe.timeoutSeconds ?? 10)) * 1000;
+  const startedAt = Date.now();
+  let reason = null;
+  let timedOut = false;
+  try {
+    reason = await NATIVE_PROBES[probe.type](probe, { config, id, timeoutMs });
+  } catch (err) {
+    reason = describeProbeError(err, timeoutMs);
+    timedOut = err?.name === "TimeoutError";
+  }
+  const result = {
+    name,
+    type: probe.type,
+    ok: !reason,
+    durationMs: Date.now() - startedAt,
+  };
+  if (reason) result.reason = `${name}: ${reason}`;
+  if (timedOut) result.timedOut = true;
+  observeProbe(name, result.durationMs);
+  return result;
+}
+
+function hasProbes(config) {
+  const hb = config.heartbeat || {};
+  return Boolean(hb.checkCommand) || Boolean(hb.probes?.length);
+}
+
+async function runLegacyProbes(config, id) {
+  const hb = config.heartbeat || {};
+  const checkCommand = hb.checkCommand;
+  const agentProbeEnabled = Boolean(hb.agentProbe?.enabled);
+  const agentProbeCommand = hb.agentProbe?.command;
+
+  const probes = [await runProbe("check", checkCommand, config, id)];
+  if (probes[0].ok && agentProbeEnabled) {
+    if (!agentProbeCommand) {
+      logWarn("agentProbe enabled but command not configured; skipping probe.");
+    } else {
+      logInfo(
+        `Agent probe: ${formatCommandLine(buildCommand(agentProbeCommand, config, { id }))}`,
+      );
+      probes.push(await runProbe("agent", agentProbeCommand, config, id));
+    }
+  }
+  return probes;
+}
+
+function backoffLadder(backoff = {}) {
+  const initial = Number(backoff.initialSeconds ?? 10);
+  const factor = Number(backoff.factor ?? 2);
+  const max = Number(backoff.maxSeconds ?? 60);
+  const attempts = Math.max(1, Number(backoff.attempts ?? 4));
+  return Array.from({ length: attempts }, (_, i) =>
+    Math.min(max, initial * factor ** i),
+  );
+}
+
+function buildStages(config) {
+  const hb = config.heartbeat || {};
+  const waitSeconds = Array.isArray(hb.waitSeconds)
+    ? hb.waitSeconds
+    : backoffLadder(hb.backoff);
+  if (hb.probes?.length) {
+    return hb.probes.map((probe, index) => ({
+      name: probe.name || `${probe.type}#${index}`,
+      severity: probe.severity || "restart",
+      failureThreshold: probe.failureThreshold ?? 1,
+      waitSeconds: probe.waitSeconds || waitSeconds,
+      run:
+        probe.type === "agents"
+          ? (id) => runAgentProbes(probe, config, id)
+          : async (id) => [await runNativeProbe(probe, index, config, id)],
+    }));
+  }
+  const agentProbe = hb.agentProbe || {};
+  // a command taking {agentId} is meant to run once per agent, so it
+  // probes every configured agent unless `agents` narrows the list
+  const perAgent =
+    agentProbe.agents ||
+    [agentProbe.command].flat().join(" ").includes("{agentId}");
+  if (!agentProbe.enabled || !perAgent) {
+    return [
+      {
+        name: "gateway",
+        severity: "restart",
+        failureThreshold: 1,
+        waitSeconds,
+        run: (id) => runLegacyProbes(config, id),
+      },
+    ];
+  }
+  return [
+    {
+      name: "gateway",
+      severity: "restart",
+      failureThreshold: 1,
+      waitSeconds,
+      run: async (id) => [await runProbe("check", hb.checkCommand, config, id)],
+    },
+    {
+      name: "agents",
+      severity: "restart",
+      failureThreshold: agentProbe.failureThreshold ?? 1,
+      waitSeconds: agentProbe.waitSeconds || [0],
+      run: (id) =>
+        runAgentProbes(
+          {
+            agents: agentProbe.agents || "all",
+            command: agentProbe.command,
+            concurrency: agentProbe.concurrency,
+            timeoutSeconds: agentProbe.timeoutSeconds,
+            severities: agentProbe.severities,
+          },
+          config,
+          id,
+        ),
+    },
+  ];
+}
+
+const SEVERITY_RANK = { ignore: 0, "notify-only": 1, restart: 2 };
+
+function evaluateStage(stage, probes) {
+  const failed = probes.filter((probe) => !probe.ok);
+  if (!failed.length) return null;
+  const severity = failed
+    .map((probe) => probe.severity || stage.severity)
+    .reduce((worst, next) =>
+      SEVERITY_RANK[next] > SEVERITY_RANK[worst] ? next : worst,
+    );
+  const reason = failed
+    .map((probe) =>
+      probe.reason.startsWith(`${stage.name}:`)
+        ? probe.reason
+        : `${stage.name}: ${probe.reason}`,
+    )
+    .join("; ");
+  return { severity, reason };
+}
+
+async function runProbes(config, id) {
+  const results = [];
+  for (const stage of buildStages(config)) {
+    const probes = await stage.run(id);
+    results.push(...probes);
+    const failed = evaluateStage(stage, probes);
+    if (failed && failed.severity === "restart") {
+      return { ok: false, probes: results, reason: failed.reason };
+    }
+  }
+  return { ok: true, probes: results, reason: null };
+}
+
+async function restartGateway(config, id) {
+  const restartCommand =
+    config.heartbeat?.restartCommand || "openclaw gateway restart";
+  const startedAt = Date.now();
+  const res = await execShell(buildCommand(restartCommand, config, { id }), {
+    timeoutMs: commandTimeouts.restart,
+  });
+  metrics.restarts += 1;
+  if (res.code !== 0) {
+    logWarn(`Restart command failed: ${formatExecError(res)}`);
+  }
+  return {
+    ok: res.code === 0,
+    code: res.code,
+    durationMs: Date.now() - startedAt,
+    ...(res.timedOut ? { timedOut: true } : {}),
+  };
+}
+
+async function runNotify(config, template, vars) {
+  const cmd = buildCommand(template, config, vars);
+  logInfo(`Notify: ${formatCommandLine(cmd)}`);
+  const res = await execShell(cmd, { timeoutMs: commandTimeouts.notify });
+  if (res.code !== 0) {
+    logWarn(`Notify command failed: ${formatExecError(res)}`);
+  }
+  return {
+    ok: res.code === 0,
+    code: res.code,
+    ...(res.timedOut ? { timedOut: true } : {}),
+  };
+}
+
+function renderTemplate(template, vars, escape = (value) => value) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.hasOwn(vars, key) ? escape(String(vars[key] ?? "")) : match,
+  );
+}
+
+function resolveNotifyStatePath(config) {
+  return path.join(resolveStateDir(config), "notify.json");
+}
+
+async function readNotifyState(config) {
+  try {
+    const state = await readJson(resolveNotifyStatePath(config));
+    return { sent: isPlainObject(state?.sent) ? state.sent : {} };
+  } catch {
+    return { sent: {} };
+  }
+}
+
+async function sendNotification(config, channel, payload) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const vars = {
+    event: payload.event,
+    message: payload.message,
+    at: payload.at,
+    host: payload.host,
+  };
+  if (channel.type === "command") {
+    const res = await execShell(buildCommand(channel.command, config, vars), {
+      timeoutMs: commandTimeouts.notify,
+    });
+    if (res.code !== 0) {
+      throw new Error(describeFailure("command", res));
+    }
+    return;
+  }
+  if (channel.type === "webhook") {
+    const body = channel.body
+      ? renderTemplate(channel.body, vars, (value) =>
+          JSON.stringify(value).slice(1, -1),
+        )
+      : JSON.stringify(payload);
+    const res = await fetch(channel.url, {
+      method: channel.method || "POST",
+      headers: { "content-type": "application/json", ...channel.headers },
+      body,
+      signal: AbortSignal.timeout(
+        Math.max(1, Number(channel.timeoutSeconds ?? 10)) * 1000,
+      ),
+    });
+    if (!res.ok) {
+      throw new Error(`webhook responded with HTTP ${res.status}`);
+    }
+    return;
+  }
+  if (channel.type === "file") {
+    const filePath = resolvePathWithBase(channel.path, configDir);
+    await ensureDir(path.dirname(filePath));
+    await fsp.appendFile(filePath, `${JSON.stringify(payload)}\n`, "utf8");
+    return;
+  }
+  throw new Error(`Unknown notifier type: ${channel.type}`);
+}
+
+async function notifyEvent(config, event, message, details = {}) {
+  const settings = config.notify || {};
+  const channels = (settings.channels || []).filter(
+    (channel) => !channel.events || channel.events.includes(event),
+  );
+  if (!channels.length) return [];
+
+  // covers every event, config pushes and rollbacks included
+  const maintenance = await getActiveMaintenance(config);
+  if (maintenance) {
+    logInfo(
+      `Notification suppressed during maintenance (${maintenance.reason}): ${event}`,
+    );
+    return [{ channel: "*", ok: true, suppressed: true }];
+  }
+
+  const rateLimitMs =
+    Math.max(0, Number(settings.rateLimitMinutes ?? 15)) * 60 * 1000;
+  const state = await readNotifyState(config);
+  const key = `${event}:${message}`;
+  const now = Date.now();
+  const lastSent = state.sent[key] ? Date.parse(state.sent[key]) : 0;
+  if (rateLimitMs > 0 && now - lastSent < rateLimitMs) {
+    logInfo(`Notification suppressed (sent ${state.sent[key]}): ${event}`);
+    return [{ channel: "*", ok: true, suppressed: true }];
+  }
+
+  const payload = {
+    event,
+    message,
+    at: nowIso(),
+    host: os.hostname(),
+    details,
+  };
+  logInfo(`Notify ${event}: ${message}`);
+  const results = await Promise.all(
+    channels.map(async (channel, index) => {
+      const name = channel.name || `${channel.type}#${index}`;
+      try {
+        await sendNotification(config, channel, payload);
+        return { channel: name, ok: true };
+      } catch (err) {
+        const reason = String(err && err.message ? err.message : err);
+        logWarn(`Notifier ${name} failed: ${reason}`);
+        return { channel: name, ok: false, error: reason };
+      }
+    }),
+  );
+  // a failed send must not start the rate limit, or the retry is suppressed
+  if (!results.some((result) => result.ok)) {
+    logError(`Notification ${event} failed on every channel.`);
+    return results;
+  }
+
+  const keepMs = Math.max(rateLimitMs, 24 * 60 * 60 * 1000);
+  for (const [sentKey, at] of Object.entries(state.sent)) {
+    if (now - Date.parse(at) > keepMs) delete state.sent[sentKey];
+  }
+  state.sent[key] = payload.at;
+  try {
+    await ensureDir(resolveStateDir(config));
+    await writeJson(resolveNotifyStatePath(config), state);
+  } catch (err) {
+    logWarn(`Failed to write notify state: ${String(err)}`);
+  }
+  return results;
+}
+
+const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+const HISTORY_KEEP_RECORDS = 2000;
+
+function resolveHistoryPath(config) {
+  return path.join(resolveStateDir(config), "heartbeat.jsonl");
+}
+
+async function appendHistory(config, record) {
+  const historyPath = resolveHistoryPath(config);
+  try {
+    await ensureDir(path.dirname(historyPath));
+    await fsp.appendFile(historyPath, `${JSON.stringify(record)}\n`, "utf8");
+    const stat = await fsp.stat(historyPath);
+    if (stat.size > HISTORY_MAX_BYTES) {
+      const lines = (await fsp.readFile(historyPath, "utf8"))
+        .split("\n")
+        .filter(Boolean);
+      await atomicWrite(
+        historyPath,
+        `${lines.slice(-HISTORY_KEEP_RECORDS).join("\n")}\n`,
+      );
+    }
+  } catch (err) {
+    logWarn(`Failed to write heartbeat history: ${String(err)}`);
+  }
+}
+
+async function readHistory(config) {
+  let raw = "";
+  try {
+    raw = await fsp.readFile(resolveHistoryPath(config), "utf8");
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // skip truncated lines
+    }
+  }
+  return records;
+}
+
+async function runHeartbeatOnce(config) {
+  const hb = config.heartbeat || {};
+  const sendCommand = hb.sendCommand;
+  const notifyOnRestart = Boolean(hb.notifyOnRestart);
+  const notifyCommand = hb.notifyCommand;
+
+  if (!hasProbes(config)) {
+    logWarn(
+      "Heartbeat checkCommand/probes not configured. Skipping heartbeat.",
+    );
+    return;
+  }
+
+  const breaker = breakerSettings(config);
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const record = {
+    id,
+    startedAt: nowIso(),
+    finishedAt: null,
+    durationMs: 0,
+    ok: false,
+    stages: [],
+    failedStage: null,
+    restart: null,
+    notify: null,
+    notifications: [],
+    breaker: null,
+    maintenance: null,
+    reason: null,
+  };
+  const history = await readHistory(config);
+  const previous = history[history.length - 1] || null;
+  const maintenance = await getActiveMaintenance(config);
+  if (maintenance) record.maintenance = maintenance.reason;
+  const startedAt = Date.now();
+  const finish = async () => {
+    metrics.lastCheckAt = Date.now();
+    if (record.ok) {
+      metrics.heartbeat.success += 1;
+      metrics.lastSuccessAt = metrics.lastCheckAt;
+    } else {
+      metrics.heartbeat.failure += 1;
+    }
+    record.finishedAt = nowIso();
+    record.durationMs = Date.now() - startedAt;
+    await appendHistory(config, record);
+    return record;
+  };
+  const send = async () => {
+    const cmd = buildCommand(sendCommand, config, { id });
+    logInfo(`Heartbeat send: ${formatCommandLine(cmd)}`);
+    const res = await execShell(cmd, { timeoutMs: commandTimeouts.notify });
+    if (res.code !== 0) {
+      logWarn(`Heartbeat send failed: ${formatExecError(res)}`);
+    }
+  };
+
+  // one send and one initial wait per tick; every stage then checks the
+  // result of that single run instead of sleeping and re-sending on its own
+  if (sendCommand) {
+    await send();
+  }
+  const stages = buildStages(config);
+  await sleep(
+    Math.max(0, ...stages.map((stage) => stage.waitSeconds[0] || 0)) * 1000,
+  );
+  let blocked = null;
+  for (const stage of stages) {
+    const entry = {
+      name: stage.name,
+      severity: stage.severity,
+      failureThreshold: stage.failureThreshold,
+      ok: false,
+      skipped: false,
+      attempts: [],
+      consecutiveFailures: 0,
+      reason: null,
+    };
+    record.stages.push(entry);
+    if (blocked) {
+      entry.skipped = true;
+      entry.reason = `skipped after ${blocked} failed`;
+      continue;
+    }
+    for (let i = 0; i < stage.waitSeconds.length; i += 1) {
+      if (i > 0) await sleep(stage.waitSeconds[i] * 1000);
+      const probes = await stage.run(id);
+      const failed = evaluateStage(stage, probes);
+      entry.attempts.push({
+        retry: i,
+        waitSeconds: stage.waitSeconds[i],
+        ok: !failed,
+        probes,
+      });
+      if (!failed) {
+        entry.ok = true;
+        entry.reason = null;
+        break;
+      }
+      entry.reason = failed.reason;
+      entry.severity = failed.severity;
+      // a retry checks a fresh run, so send again before waiting
+      if (i < stage.waitSeconds.length - 1 && sendCommand) {
+        await send();
+      }
+    }
+    if (entry.ok) continue;
+    const prevStage = previous?.stages?.find((s) => s.name === entry.name);
+    entry.consecutiveFailures =
+      (prevStage && !prevStage.ok && !prevStage.skipped
+        ? prevStage.consecutiveFailures || 1
+        : 0) + 1;
+    const progress = `${entry.consecutiveFailures}/${entry.failureThreshold}`;
+    if (entry.severity === "ignore") {
+      logInfo(`Stage ${entry.name} failed (ignored): ${entry.reason}`);
+    } else {
+      logWarn(
+        `Stage ${entry.name} failed (${progress}, ${entry.severity}): ${entry.reason}`,
+      );
+    }
+    if (entry.severity === "restart") blocked = entry.name;
+  }
+
+  const failedStages = record.stages.filter(
+    (entry) => !entry.ok && !entry.skipped && entry.severity !== "ignore",
+  );
+  if (!failedStages.length) {
+    logInfo("Heartbeat reply received.");
+    record.ok = true;
+    if (previous && !previous.ok && !record.maintenance) {
+      record.notifications.push(
+        ...(await notifyEvent(config, "recovery", "Gateway is healthy again", {
+          id,
+        })),
+      );
+    }
+    if (breaker.enabled) {
+      const state = await readBreakerState(config);
+      if (state.open) {
+        await resetBreaker(config);
+        logInfo("Gateway healthy again; circuit breaker closed.");
+        record.breaker = "closed";
+      }
+    }
+    return await finish();
+  }
+  record.failedStage = failedStages[0].name;
+  record.reason = failedStages.map((entry) => entry.reason).join("; ");
+
+  if (record.maintenance) {
+    logWarn(
+      `Heartbeat failed during maintenance (${record.maintenance}); restart and notifications suppressed.`,
+    );
+    return await finish();
+  }
+
+  const dueStages = failedStages.filter(
+    (entry) => entry.consecutiveFailures >= entry.failureThreshold,
+  );
+  if (!dueStages.length) {
+    logWarn("Heartbeat failed below failure threshold; no action yet.");
+    return await finish();
+  }
+
+  record.notifications.push(
+    ...(await notifyEvent(
+      config,
+      "probe-failure",
+      `Heartbeat failed: ${dueStages.map((entry) => entry.reason).join("; ")}`,
+      { id, stages: dueStages.map((entry) => entry.name) },
+    )),
+  );
+  if (!dueStages.some((entry) => entry.severity === "restart")) {
+    logWarn("Heartbeat failed at notify-only stage(s); not restarting.");
+    return await finish();
+  }
+
+  const gate = await claimRestart(config, id, record.reason);
+  if (gate.breaker) {
+    record.breaker = gate.breaker;
+    record.notifications.push(...gate.notifications);
+    if (gate.notify) record.notify = gate.notify;
+    return await finish();
+  }
+
+  logWarn("Heartbeat failed after retries. Restarting gateway...");
+  record.restart = await restartGateway(config, id);
+  record.notifications.push(
+    ...(await notifyEvent(
+      config,
+      "restart",
+      record.restart.ok
+        ? "Gateway restarted after failed health check"
+        : record.restart.timedOut
+          ? `Gateway restart timed out after ${commandTimeouts.restart / 1000}s`
+          : `Gateway restart failed with code ${record.restart.code}`,
+      { id },
+    )),
+  );
+  if (notifyOnRestart && notifyCommand) {
+    record.notify = await runNotify(config, notifyCommand, { id });
+  }
+  return await finish();
+}
+
+// every automatic restart, from the heartbeat or a push rollback, counts
+// against the breaker; a non-null `breaker` means the restart is not allowed
+async function claimRestart(config, id, reason) {
+  const breaker = breakerSettings(config);
+  const gate = { breaker: null, notifications: [], notify: null };
+  if (!breaker.enabled) return gate;
+  const state = await readBreakerState(config);
+  const now = Date.now();
+  state.restarts = state.restarts.filter(
+    (at) => now - Date.parse(at) < breaker.windowMs,
+  );
+  if (state.open) {
+    logWarn("Circuit breaker open, skipping restart.");
+    gate.breaker = "open";
+    return gate;
+  }
+  if (state.restarts.length >= breaker.maxRestarts) {
+    state.open = true;
+    state.openedAt = nowIso();
+    state.reason = reason;
+    await writeBreakerState(config, state);
+    logError(
+      `Gateway failed after ${state.restarts.length} restarts in ${breaker.windowMinutes}m; circuit breaker open, automatic restarts paused until heartbeat:reset or a successful probe.`,
+    );
+    gate.breaker = "opened";
+    gate.notifications = await notifyEvent(
+      config,
+      "escalation",
+      `Gateway still failing after ${state.restarts.length} restarts in ${breaker.windowMinutes}m; automatic restarts paused`,
+      { id, reason },
+    );
+    if (breaker.escalateCommand) {
+      gate.notify = await runNotify(config, breaker.escalateCommand, {
+        id,
+        restarts: state.restarts.length,
+        windowMinutes: breaker.windowMinutes,
+      });
+    }
+    return gate;
+  }
+  state.restarts.push(nowIso());
+  await writeBreakerState(config, state);
+  return gate;
+}
+
+function resolveBreakerPath(config) {
+  return path.join(resolveStateDir(config), "breaker.json");
+}
+
+async function readBreakerState(config) {
+  try {
+    const state = await readJson(resolveBreakerPath(config));
+    return {
+      open: Boolean(state?.open),
+      openedAt: state?.openedAt ?? null,
+      reason: state?.reason ?? null,
+      restarts: Array.isArray(state?.restarts) ? state.restarts : [],
+    };
+  } catch {
+    return { open: false, openedAt: null, reason: null, restarts: [] };
+  }
+}
+
+async function writeBreakerState(config, state) {
+  const breakerPath = resolveBreakerPath(config);
+  await ensureDir(path.dirname(breakerPath));
+  await writeJson(breakerPath, state);
+}
+
+function breakerSettings(config) {
+  const cb = config.heartbeat?.circuitBreaker || {};
+  return {
+    enabled: Boolean(cb.enabled),
+    maxRestarts: Math.max(1, Number(cb.maxRestarts ?? 3)),
+    windowMs: Math.max(1, Number(cb.windowMinutes ?? 60)) * 60 * 1000,
+    windowMinutes: Number(cb.windowMinutes ?? 60),
+    escalateCommand: cb.escalateCommand,
+  };
+}
+
+async function resetBreaker(config) {
+  await writeBreakerState(config, {
+    open: false,
+    openedAt: null,
+    reason: null,
+    restarts: [],
+  });
+}
+
+function resolveRuntimePath(config) {
+  return path.join(resolveStateDir(config), "runtime.json");
+}
+
+async function markLoopRunning(config, loop) {
+  const runtimePath = resolveRuntimePath(config);
+  let runtime = {};
+  try {
+    runtime = await readJson(runtimePath);
+  } catch {
+    runtime = {};
+  }
+  runtime[loop] = { pid: process.pid, startedAt: nowIso() };
+  try {
+    await ensureDir(path.dirname(runtimePath));
+    await writeJson(runtimePath, runtime);
+  } catch (err) {
+    logWarn(`Failed to write runtime state: ${String(err)}`);
+  }
+}
+
+function summarizeHistory(records, now = Date.now()) {
+  const dayAgo = now - 24 * 60 * 60 * 1000;
+  const last = records[records.length - 1] || null;
+  const lastSuccess = [...records].reverse().find((r) => r.ok) || null;
+  const lastFailure = [...records].reverse().find((r) => !r.ok) || null;
+  let streak = 0;
+  if (last) {
+    for (let i = records.length - 1; i >= 0; i -= 1) {
+      if (records[i].ok !== last.ok) break;
+      streak += 1;
+    }
+  }
+  const restarts24h = records.filter(
+    (r) => r.restart && Date.parse(r.startedAt) >= dayAgo,
+  ).length;
+  return { last, lastSuccess, lastFailure, streak, restarts24h };
+}
+
+async function showStatus(config) {
+  const daemonPid = await readPid();
+  const daemonAlive = Boolean(daemonPid && isProcessAlive(daemonPid));
+  let runtime = {};
+  try {
+    runtime = await readJson(resolveRuntimePath(config));
+  } catch {
+    runtime = {};
+  }
+  const describeLoop = (loop) => {
+    const entry = runtime[loop];
+    if (!entry || !isProcessAlive(entry.pid)) return "not running";
+    return `running (pid ${entry.pid}, since ${entry.startedAt})`;
+  };
+  const summary = summarizeHistory(await readHistory(config));
+  const pause = await readPause(config);
+  const maintenance = await getActiveMaintenance(config);
+  const breaker = breakerSettings(config);
+  const breakerState = await readBreakerState(config);
+  let breakerLine = "disabled";
+  if (breaker.enabled && breakerState.open) {
+    breakerLine = `OPEN since ${breakerState.openedAt} (${breakerState.reason || "unknown reason"})`;
+  } else if (breaker.enabled) {
+    const recent = breakerState.restarts.filter(
+      (at) => Date.now() - Date.parse(at) < breaker.windowMs,
+    ).length;
+    breakerLine = `closed (${recent}/${breaker.maxRestarts} restarts in ${breaker.windowMinutes}m)`;
+  }
+  const lines = [
+    `Daemon:        ${daemonAlive ? `running (pid ${daemonPid})` : "not running"}`,
+    `Watcher:       ${describeLoop("watcher")}`,
+    `Heartbeat:     ${describeLoop("heartbeat")}`,
+    `Breaker:       ${breakerLine}`,
+    `Paused:        ${pause ? pause.until || "until resume" : "no"}`,
+    `Maintenance:   ${maintenance ? `${maintenance.reason}${maintenance.end ? ` until ${maintenance.end}` : ""}` : "no"}`,
+  ];
+  if (!summary.last) {
+    lines.push("History:       no heartbeat recorded yet");
+  } else {
+    lines.push(
+      `Last check:    ${summary.last.startedAt} (${summary.last.ok ? "ok" : "failed"})`,
+      `Last success:  ${summary.lastSuccess ? summary.lastSuccess.startedAt : "never"}`,
+      `Streak:        ${summary.streak} ${summary.last.ok ? "ok" : "failed"} in a row`,
+      `Restarts 24h:  ${summary.restarts24h}`,
+    );
+    if (summary.lastFailure) {
+      lines.push(
+        `Last failure:  ${summary.lastFailure.startedAt} ${summary.lastFailure.reason || "unknown reason"}`,
+      );
+    }
+  }
+  console.log(lines.join("\n"));
+}
+
+async function buildMetricsSnapshot(config) {
+  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
+  const schemaPath = resolvePathWithBase(config.paths.schemaFile, configDir);
+  let schemaAgeSeconds = null;
+  try {
+    const stat = await fsp.stat(schemaPath);
+    schemaAgeSeconds = Math.round((Date.now() - stat.mtimeMs) / 1000);
+  } catch {
+    schemaAgeSeconds = null;
+  }
+  const now = Date.now();
+  const loops = {};
+  for (const [name, loop] of Object.entries(metrics.loops)) {
+    const alive =
+      name === "heartbeat"
+        ? now - loop.lastTickAt <= loop.staleAfterMs
+        : loop.alive;
+    loops[name] = {
+      alive,
+      startedAt: new Date(loop.startedAt).toISOString(),
+      ...(loop.lastTickAt
+        ? { lastTickAt: new Date(loop.lastTickAt).toISOString() }
+        : {}),
+      ...(loop.nextTickAt
+        ? {
+            nextTickAt: new Date(loop.nextTickAt).toISOString(),
+            mode: loop.mode,
+          }
+        : {}),
+    };
+  }
+  const breaker = await readBreakerState(config);
+  return {
+    pid: process.pid,
+    uptimeSeconds: Math.round((now - metrics.startedAt) / 1000),
+    heartbeat: { ...metrics.heartbeat },
+    missedTicks: metrics.missedTicks,
+    restarts: metrics.restarts,
+    lastCheckAt: metrics.lastCheckAt
+      ? new Date(metrics.lastCheckAt).toISOString()
+      : null,
+    lastSuccessAt: metrics.lastSuccessAt
+      ? new Date(metrics.lastSuccessAt).toISOString()
+      : null,
+    configPush: metrics.configPush,
+    configRejected: metrics.configRejected,
+    schemaAgeSeconds,
+    breakerOpen: breaker.open,
+    probes: Object.fromEntries(
+      Object.entries(metrics.probes).map(([name, entry]) => [
+        name,
+        { count: entry.count, sumSeconds: entry.sum },
+      ]),
+    ),
+    loops,
+  };
+}
+
+function renderPrometheus(snapshot) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${labels} ${value}`);
+    }
+  };
+  const seconds = (iso) => (iso ? Date.parse(iso) / 1000 : 0);
+  metric("warden_up", "gauge", "Warden process is running.", [["", 1]]);
+  metric("warden_heartbeat_total", "counter", "Heartbeat runs by result.", [
+    ['{result="success"}', snapshot.heartbeat.success],
+    ['{result="failure"}', snapshot.heartbeat.failure],
+  ]);
+  metric(
+    "warden_heartbeat_missed_ticks_total",
+    "counter",
+    "Scheduled heartbeats missed while the host was asleep or stalled.",
+    [["", snapshot.missedTicks]],
+  );
+  metric(
+    "warden_gateway_restarts_total",
+    "counter",
+    "Gateway restarts triggered by warden.",
+    [["", snapshot.restarts]],
+  );
+  metric(
+    "warden_last_check_timestamp_seconds",
+    "gauge",
+    "Unix time of the last heartbeat run.",
+    [["", seconds(snapshot.lastCheckAt)]],
+  );
+  metric(
+    "warden_last_success_timestamp_seconds",
+    "gauge",
+    "Unix time of the last successful heartbeat.",
+    [["", seconds(snapshot.lastSuccessAt)]],
+  );
+  metric(
+    "warden_config_push_total",
+    "counter",
+    "Configs pushed to the live path.",
+    [["", snapshot.configPush]],
+  );
+  metric(
+    "warden_config_rejected_total",
+    "counter",
+    "Configs rejected by schema validation.",
+    [["", snapshot.configRejected]],
+  );
+  if (snapshot.schemaAgeSeconds !== null) {
+    metric(
+      "warden_schema_age_seconds",
+      "gauge",
+      "Seconds since the schema file was generated.",
+      [["", snapshot.schemaAgeSeconds]],
+    );
+  }
+  metric(
+    "warden_circuit_breaker_open",
+    "gauge",
+    "Restart circuit breaker is open.",
+    [["", snapshot.breakerOpen ? 1 : 0]],
+  );
+  lines.push(
+    "# HELP warden_probe_duration_seconds Probe latency.",
+    "# TYPE warden_probe_duration_seconds histogram",
+  );
+  for (const [name, entry] of Object.entries(metrics.probes)) {
+    PROBE_BUCKETS.forEach((le, i) => {
+      lines.push(
+        `warden_probe_duration_seconds_bucket{probe="${name}",le="${le}"} ${entry.buckets[i]}`,
+      );
+    });
+    lines.push(
+      `warden_probe_duration_seconds_bucket{probe="${name}",le="+Inf"} ${entry.count}`,
+      `warden_probe_duration_seconds_sum{probe="${name}"} ${entry.sum}`,
+      `warden_probe_duration_seconds_count{probe="${name}"} ${entry.count}`,
+    );
+  }
+  metric(
+    "warden_loop_up",
+    "gauge",
+    "Warden loop is alive.",
+    Object.entries(snapshot.loops).map(([name, loop]) => [
+      `{loop="${name}"}`,
+      loop.alive ? 1 : 0,
+    ]),
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+function startMetricsServer(config) {
+  const settings = config.metrics || {};
+  if (!settings.enabled) return null;
+  const host = settings.host || "127.0.0.1";
+  const port = Number(settings.port ?? 9477);
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (req.method !== "GET") {
+        res.writeHead(405).end();
+        return;
+      }
+      if (url.pathname === "/metrics") {
+        const snapshot = await buildMetricsSnapshot(config);
+        res.writeHead(200, {
+          "content-type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        res.end(renderPrometheus(snapshot));
+      } else if (url.pathname === "/status") {
+        const snapshot = await buildMetricsSnapshot(config);
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(`${JSON.stringify(snapshot, null, 2)}\n`);
+      } else if (url.pathname === "/healthz") {
+        const snapshot = await buildMetricsSnapshot(config);
+        const loops = Object.values(snapshot.loops);
+        const ok = loops.length > 0 && loops.every((loop) => loop.alive);
+        res.writeHead(ok ? 200 : 503, { "content-type": "application/json" });
+        res.end(`${JSON.stringify({ ok, loops: snapshot.loops })}\n`);
+      } else {
+        res.writeHead(404).end();
+      }
+    } catch (err) {
+      res.writeHead(500).end(String(err && err.message ? err.message : err));
+    }
+  });
+  server.on("error", (err) => {
+    logError(
+      `Metrics server failed: ${String(err && err.message ? err.message : err)}`,
+    );
+  });
+  server.listen(port, host, () => {
+    logInfo(
+      `Metrics listening on http://${host}:${server.address().port}/metrics`,
+    );
+  });
+  return server;
+}
 
-  if (config.git?.enabled) {
-    const gitReady = await ensureGitRepo(
-      repoRoot,
-      Boolean(config.git?.autoInit),
+async function closeMetricsServer(server) {
+  if (!server?.listening) return;
+  await new Promise((resolve) => {
+    server.close(() => resolve());
+    // idle keep-alive scrapes would otherwise hold the port open
+    server.closeAllConnections();
+  });
+}
+
+let heartbeatController = null;
+let maintenanceMonitor = null;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected 5 fields`,
     );
-    if (gitReady) {
-      await gitCommitIfChanged(
-        repoRoot,
-        [path.relative(repoRoot, repoConfigPath)],
-        `sync push ${nowIso()}`,
-      );
-    }
   }
+  return parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    for (const item of part.split(",")) {
+      const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(item);
+      if (!match) {
+        throw new Error(`Invalid cron ${name} "${item}" in "${expression}"`);
+      }
+      const from = match[1] === "*" ? min : Number(match[1]);
+      const to = match[1] === "*" ? max : match[2] ? Number(match[2]) : from;
+      const step = match[3] ? Number(match[3]) : 1;
+      if (from < min || to > max || from > to || step < 1) {
+        throw new Error(
+          `Cron ${name} out of range "${item}" in "${expression}"`,
+        );
+      }
+      const end = match[1] !== "*" && !match[2] && match[3] ? max : to;
+      for (let value = from; value <= end; value += step) {
+        values.add(index === 4 && value === 7 ? 0 : value);
+      }
+    }
+    return { any: part === "*", values };
+  });
 }
 
-async function initWarden(config) {
-  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
-  const repoConfigPath = resolvePathWithBase(
-    config.paths.repoConfig,
-    configDir,
-  );
-  const repoRoot = path.dirname(repoConfigPath);
-  const liveConfigPath = resolvePathWithBase(
-    config.paths.liveConfig,
-    configDir,
-  );
-  await ensureDir(path.dirname(repoConfigPath));
+function cronMatches(fields, date) {
+  const [minute, hour, dom, month, dow] = fields;
+  if (!minute.values.has(date.getMinutes())) return false;
+  if (!hour.values.has(date.getHours())) return false;
+  if (!month.values.has(date.getMonth() + 1)) return false;
+  const domOk = dom.values.has(date.getDate());
+  const dowOk = dow.values.has(date.getDay());
+  if (dom.any || dow.any) return domOk && dowOk;
+  return domOk || dowOk;
+}
 
-  if (fs.existsSync(liveConfigPath) && !fs.existsSync(repoConfigPath)) {
-    await fsp.copyFile(liveConfigPath, repoConfigPath);
-    logInfo(`Seeded repo config from live: ${repoConfigPath}`);
-  } else if (!fs.existsSync(repoConfigPath)) {
-    await writeJson(repoConfigPath, {});
-    logInfo(`Created empty repo config: ${repoConfigPath}`);
-  }
+function resolveMaintenancePath(config) {
+  return path.join(resolveStateDir(config), "maintenance.json");
+}
 
-  if (config.git?.enabled) {
-    const gitReady = await ensureGitRepo(
-      repoRoot,
-      Boolean(config.git?.autoInit),
-    );
-    if (gitReady) {
-      await gitCommitIfChanged(
-        repoRoot,
-        [path.relative(repoRoot, repoConfigPath)],
-        `init ${nowIso()}`,
-      );
+async function getActiveMaintenance(config, now = new Date()) {
+  const nowMs = now.getTime();
+  try {
+    const adhoc = await readJson(resolveMaintenancePath(config));
+    if (
+      Date.parse(adhoc.start) <= nowMs &&
+      (!adhoc.end || nowMs < Date.parse(adhoc.end))
+    ) {
+      return {
+        reason: adhoc.reason || "ad-hoc maintenance",
+        end: adhoc.end || null,
+      };
+    }
+  } catch {
+    // no ad-hoc window
+  }
+  for (const window of config.maintenance?.windows || []) {
+    const reason = window.reason || "scheduled maintenance";
+    if (window.cron) {
+      const fields = parseCron(window.cron);
+      const durationMs = Number(window.durationMinutes) * 60 * 1000;
+      const minute = new Date(now);
+      minute.setSeconds(0, 0);
+      for (let t = minute.getTime(); t > nowMs - durationMs; t -= 60 * 1000) {
+        if (cronMatches(fields, new Date(t))) {
+          return { reason, end: new Date(t + durationMs).toISOString() };
+        }
+      }
+    } else if (
+      Date.parse(window.start) <= nowMs &&
+      nowMs < Date.parse(window.end)
+    ) {
+      return { reason, end: new Date(window.end).toISOString() };
     }
   }
+  return null;
 }
 
-async function watchConfig(config) {
-  const configDir = path.dirname(config.__configPath || DEFAULT_CONFIG_PATH);
-  const repoConfigPath = resolvePathWithBase(
-    config.paths.repoConfig,
-    configDir,
+async function startMaintenance(config, durationMs, reason) {
+  const window = {
+    start: nowIso(),
+    end: durationMs ? new Date(Date.now() + durationMs).toISOString() : null,
+    reason: reason || "ad-hoc maintenance",
+  };
+  await ensureDir(resolveStateDir(config));
+  await writeJson(resolveMaintenancePath(config), window);
+  logInfo(
+    `Maintenance started (${window.reason}) ${window.end ? `until ${window.end}` : "until maintenance:stop"}.`,
   );
-  if (!fs.existsSync(repoConfigPath)) {
-    throw new Error(`Repo config not found: ${repoConfigPath}`);
+  if (maintenanceMonitor) await maintenanceMonitor();
+  return window;
+}
+
+async function stopMaintenance(config) {
+  try {
+    await fsp.unlink(resolveMaintenancePath(config));
+  } catch {
+    // no ad-hoc window
   }
-  logInfo(`Watching ${repoConfigPath} for changes...`);
-  let timer = null;
-  const schedule = () => {
-    if (timer) clearTimeout(timer);
-    timer = setTimeout(async () => {
-      try {
-        await syncPush(config);
-        logInfo("Applied config after change.");
-      } catch (err) {
-        logError(String(err && err.message ? err.message : err));
+  if (maintenanceMonitor) {
+    await maintenanceMonitor();
+  } else {
+    logInfo("Maintenance stopped.");
+  }
+  return { stopped: true };
+}
+
+function monitorMaintenance(config) {
+  let active = null;
+  let initialized = false;
+  const check = async () => {
+    let current = null;
+    try {
+      current = await getActiveMaintenance(config);
+    } catch (err) {
+      logWarn(
+        `Maintenance check failed: ${String(err && err.message ? err.message : err)}`,
+      );
+      return;
+    }
+    if (current && (!active || active.reason !== current.reason)) {
+      logInfo(
+        `Maintenance window started (${current.reason})${current.end ? ` until ${current.end}` : ""}; restarts and notifications suppressed.`,
+      );
+    }
+    if (!current && active) {
+      logInfo(`Maintenance window ended (${active.reason}); checking now.`);
+      if (
+        initialized &&
+        heartbeatController &&
+        !heartbeatController.isRunning()
+      ) {
+        heartbeatController.runNow().catch((err) => {
+          logError(String(err && err.message ? err.message : err));
+        });
       }
-    }, 400);
+    }
+    active = current;
+    initialized = true;
   };
-  fs.watch(repoConfigPath, { persistent: true }, () => schedule());
+  maintenanceMonitor = check;
+  setInterval(check, 30 * 1000);
+  return check();
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (use e.g. 90s, 30m, 2h)`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * units[match[2] || "m"];
 }
 
-async function runHeartbeatOnce(config) {
-  const hb = config.heartbeat || {};
-  const sendCommand = hb.sendCommand;
-  const checkCommand = hb.checkCommand;
-  const agentProbeEnabled = Boolean(hb.agentProbe?.enabled);
-  const agentProbeCommand = hb.agentProbe?.command;
-  const notifyOnRestart = Boolean(hb.notifyOnRestart);
-  const notifyCommand = hb.notifyCommand;
-  const restartCommand = hb.restartCommand || "openclaw gateway restart";
-  const waitSeconds = Array.isArray(hb.waitSeconds)
-    ? hb.waitSeconds
-    : [30, 40, 50];
+function resolvePausePath(config) {
+  return path.join(resolveStateDir(config), "pause.json");
+}
 
-  if (!checkCommand) {
-    logWarn("Heartbeat checkCommand not configured. Skipping heartbeat.");
-    return;
+async function readPause(config) {
+  try {
+    const pause = await readJson(resolvePausePath(config));
+    if (pause?.until && Date.parse(pause.until) <= Date.now()) return null;
+    return pause;
+  } catch {
+    return null;
   }
+}
 
-  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-  const send = async () => {
-    const cmd = buildCommand(sendCommand, config, { id });
-    logInfo(`Heartbeat send: ${cmd}`);
-    const res = await execShell(cmd);
-    if (res.code !== 0) {
-      logWarn(`Heartbeat send failed: ${res.stderr.trim()}`);
-    }
+async function pauseHeartbeat(config, durationMs) {
+  const pause = {
+    pausedAt: nowIso(),
+    until: durationMs ? new Date(Date.now() + durationMs).toISOString() : null,
   };
+  await ensureDir(resolveStateDir(config));
+  await writeJson(resolvePausePath(config), pause);
+  logInfo(
+    `Heartbeat paused ${pause.until ? `until ${pause.until}` : "until resume"}.`,
+  );
+  return pause;
+}
 
-  const check = async () => {
-    const cmd = buildCommand(checkCommand, config, { id });
-    const res = await execShell(cmd);
-    if (res.code !== 0) return false;
-    if (!agentProbeEnabled) return true;
-    if (!agentProbeCommand) {
-      logWarn("agentProbe enabled but command not configured; skipping probe.");
-      return true;
-    }
-    const probeCmd = buildCommand(agentProbeCommand, config, { id });
-    logInfo(`Agent probe: ${probeCmd}`);
-    const probeRes = await execShell(probeCmd);
-    return probeRes.code === 0;
-  };
+async function resumeHeartbeat(config) {
+  try {
+    await fsp.unlink(resolvePausePath(config));
+  } catch {
+    // not paused
+  }
+  logInfo("Heartbeat resumed.");
+  return { resumed: true };
+}
 
-  if (sendCommand) {
-    await send();
+async function handleControlRequest(config, request) {
+  switch (request?.command) {
+    case "ping":
+      return { pid: process.pid, configPath: controlConfigPath(config) };
+    case "status":
+      return {
+        ...(await buildMetricsSnapshot(config)),
+        pause: await readPause(config),
+        heartbeatRunning: Boolean(heartbeatController?.isRunning()),
+      };
+    case "heartbeat:now":
+      // a watch-only process has no heartbeat loop; the caller runs it locally
+      if (!heartbeatController) return null;
+      logInfo("Heartbeat triggered via control socket.");
+      return await heartbeatController.runNow();
+    case "pause":
+      return await pauseHeartbeat(config, request.durationMs);
+    case "resume":
+      return await resumeHeartbeat(config);
+    case "maintenance:start":
+      return await startMaintenance(config, request.durationMs, request.reason);
+    case "maintenance:stop":
+      return await stopMaintenance(config);
+    case "push":
+      logInfo("Push triggered via control socket.");
+      await syncPush(config, { verify: request.verify });
+      return { pushed: true };
+    default:
+      throw new Error(`Unknown control command: ${request?.command}`);
   }
-  for (let i = 0; i < waitSeconds.length; i += 1) {
-    await sleep(waitSeconds[i] * 1000);
-    const ok = await check();
-    if (ok) {
-      logInfo("Heartbeat reply received.");
-      return;
-    }
-    if (i < waitSeconds.length - 1) {
-      if (sendCommand) {
-        await send();
+}
+
+async function sendControl(request, timeoutMs = CONTROL_TIMEOUT_MS) {
+  return await new Promise((resolve, reject) => {
+    const socket = net.createConnection(CONTROL_SOCKET);
+    let buffer = "";
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Control request timed out: ${request.command}`));
+    }, timeoutMs);
+    socket.setEncoding("utf8");
+    socket.on("connect", () => {
+      socket.write(`${JSON.stringify(request)}\n`);
+    });
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+    });
+    socket.on("end", () => {
+      clearTimeout(timer);
+      try {
+        resolve(JSON.parse(buffer));
+      } catch {
+        reject(new Error("Invalid response from control socket"));
       }
-    }
-  }
+    });
+    socket.on("error", (err) => {
+      clearTimeout(timer);
+      if (err.code === "ENOENT" || err.code === "ECONNREFUSED") {
+        resolve(null);
+      } else {
+        reject(err);
+      }
+    });
+  });
+}
 
-  logWarn("Heartbeat failed after retries. Restarting gateway...");
-  const res = await execShell(buildCommand(restartCommand, config, { id }));
-  if (res.code !== 0) {
-    logWarn(`Restart command failed: ${res.stderr.trim()}`);
+function controlConfigPath(config) {
+  return path.resolve(config.__configPath || DEFAULT_CONFIG_PATH);
+}
+
+async function callDaemon(config, request, timeoutMs) {
+  const response = await sendControl(
+    { ...request, configPath: controlConfigPath(config) },
+    timeoutMs,
+  );
+  if (!response) return { reached: false, result: null };
+  // the socket is per host, so it may belong to a daemon for another config
+  if (response.configMismatch) {
+    logWarn(
+      `Running warden manages ${response.configPath}, not ${controlConfigPath(config)}; running locally.`,
+    );
+    return { reached: false, result: null };
   }
-  if (notifyOnRestart && notifyCommand) {
-    const cmd = buildCommand(notifyCommand, config, { id });
-    logInfo(`Notify restart: ${cmd}`);
-    const notifyRes = await execShell(cmd);
-    if (notifyRes.code !== 0) {
-      logWarn(`Notify command failed: ${notifyRes.stderr.trim()}`);
+  if (!response.ok) {
+    throw new Error(response.error || "Daemon request failed");
+  }
+  return { reached: true, result: response.result };
+}
+
+async function startControlServer(config) {
+  await ensureDir(DAEMON_DIR);
+  if (process.platform !== "win32" && fs.existsSync(CONTROL_SOCKET)) {
+    const existing = await sendControl({ command: "ping" }).catch(() => null);
+    if (existing) {
+      logWarn(
+        `Control socket already served by pid ${existing.result?.pid} (${existing.result?.configPath || "unknown config"}); not starting another.`,
+      );
+      return null;
     }
+    await fsp.unlink(CONTROL_SOCKET).catch(() => {});
+  }
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("error", () => {});
+    socket.on("data", async (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf("\n");
+      if (newline < 0) return;
+      const line = buffer.slice(0, newline);
+      buffer = "";
+      let response = null;
+      try {
+        const request = JSON.parse(line);
+        const configPath = controlConfigPath(config);
+        if (
+          request.configPath &&
+          path.resolve(request.configPath) !== configPath
+        ) {
+          response = {
+            ok: false,
+            configMismatch: true,
+            configPath,
+            error: `This warden manages ${configPath}`,
+          };
+        } else {
+          const result = await handleControlRequest(config, request);
+          response = { ok: true, result };
+        }
+      } catch (err) {
+        response = {
+          ok: false,
+          error: String(err && err.message ? err.message : err),
+        };
+      }
+      socket.end(`${JSON.stringify(response)}\n`);
+    });
+  });
+  const previousUmask = process.umask(0o077);
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(CONTROL_SOCKET, resolve);
+    });
+  } catch (err) {
+    logWarn(
+      `Control socket unavailable: ${String(err && err.message ? err.message : err)}`,
+    );
+    return null;
+  } finally {
+    process.umask(previousUmask);
   }
+  if (process.platform !== "win32") {
+    await fsp.chmod(CONTROL_SOCKET, 0o600);
+    shutdownTasks.add(() => fs.unlinkSync(CONTROL_SOCKET));
+  }
+  logInfo(`Control socket listening: ${CONTROL_SOCKET}`);
+  return server;
+}
+
+function readFlagValue(name) {
+  const argv = process.argv.slice(3);
+  const index = argv.indexOf(name);
+  if (index >= 0) return argv[index + 1];
+  const inline = argv.find((arg) => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+function scheduleSettings(config) {
+  const hb = config.heartbeat || {};
+  const intervalMs = Math.max(1, Number(hb.intervalMinutes ?? 5)) * 60 * 1000;
+  const schedule = hb.schedule || {};
+  return {
+    intervalMs,
+    failureIntervalMs: Math.min(
+      intervalMs,
+      Number(schedule.failureIntervalMinutes ?? 1) * 60 * 1000,
+    ),
+    jitterMs: Number(schedule.jitterSeconds ?? 15) * 1000,
+    recoverySuccesses: Number(schedule.recoverySuccesses ?? 3),
+  };
 }
 
 async function runHeartbeatLoop(config) {
-  const intervalMinutes = config.heartbeat?.intervalMinutes ?? 5;
-  const intervalMs = Math.max(1, Number(intervalMinutes)) * 60 * 1000;
+  let settings = null;
   let running = false;
-  const tick = async () => {
-    if (running) return;
+  let timer = null;
+  let degraded = false;
+  let successes = 0;
+  const loop = (metrics.loops.heartbeat = {
+    startedAt: Date.now(),
+    lastTickAt: Date.now(),
+    staleAfterMs: 0,
+    nextTickAt: null,
+    mode: "normal",
+  });
+  const configure = () => {
+    settings = scheduleSettings(config);
+    const retryBudgetSeconds = buildStages(config).reduce(
+      (total, stage) =>
+        total +
+        stage.waitSeconds.reduce((sum, value) => sum + Number(value), 0),
+      0,
+    );
+    loop.staleAfterMs =
+      settings.intervalMs * 2 +
+      settings.jitterMs +
+      retryBudgetSeconds * 1000 +
+      60 * 1000;
+  };
+  const track = (record) => {
+    const { intervalMs, failureIntervalMs, recoverySuccesses } = settings;
+    if (!record) return;
+    if (!record.ok || record.restart) {
+      if (!degraded && failureIntervalMs < intervalMs) {
+        logInfo(
+          `Heartbeat failed; checking every ${failureIntervalMs / 1000}s until ${recoverySuccesses} consecutive successes.`,
+        );
+      }
+      degraded = true;
+      successes = 0;
+      return;
+    }
+    successes += 1;
+    if (degraded && successes >= recoverySuccesses) {
+      degraded = false;
+      logInfo(
+        `Heartbeat stable after ${successes} successes; back to every ${intervalMs / 60000}m.`,
+      );
+    }
+  };
+  const schedule = () => {
+    const baseMs = degraded ? settings.failureIntervalMs : settings.intervalMs;
+    const delayMs = baseMs + Math.round(Math.random() * settings.jitterMs);
+    loop.nextTickAt = Date.now() + delayMs;
+    loop.mode = degraded ? "failure" : "normal";
+    clearTimeout(timer);
+    timer = setTimeout(onTimer, delayMs);
+  };
+  const onTimer = async () => {
+    const { intervalMs } = settings;
+    const lateMs = Date.now() - loop.nextTickAt;
+    if (lateMs > Math.max(60 * 1000, intervalMs / 2)) {
+      const missed = Math.max(1, Math.floor(lateMs / intervalMs));
+      metrics.missedTicks += missed;
+      logWarn(
+        `Heartbeat timer fired ${Math.round(lateMs / 1000)}s late (system sleep or suspend?); ${missed} scheduled check(s) missed, running one now.`,
+      );
+    }
+    try {
+      track(await tick());
+    } catch (err) {
+      logError(
+        `Heartbeat failed: ${String(err && err.message ? err.message : err)}`,
+      );
+    }
+    schedule();
+  };
+  const tick = async (options = {}) => {
+    if (running) return null;
     running = true;
+    // a reload swaps the shared config; keep this check on one version
+    const active = { ...config };
     try {
-      await runHeartbeatOnce(config);
+      if (!options.force) {
+        const pause = await readPause(active);
+        if (pause) {
+          logInfo(
+            `Heartbeat paused ${pause.until ? `until ${pause.until}` : "until resume"}; skipping check.`,
+          );
+          return null;
+        }
+      }
+      if (active.drift?.enabled) {
+        await checkDrift(active);
+      }
+      return await runHeartbeatOnce(active);
     } finally {
       running = false;
+      loop.lastTickAt = Date.now();
     }
   };
-  await tick();
-  setInterval(tick, intervalMs);
+  heartbeatController = {
+    isRunning: () => running,
+    reschedule: () => {
+      configure();
+      // a running check reschedules itself when it finishes
+      if (!running) schedule();
+    },
+    runNow: async () => {
+      if (running) {
+        throw new Error("A heartbeat check is already running.");
+      }
+      const record = await tick({ force: true });
+      track(record);
+      schedule();
+      return record;
+    },
+  };
+  configure();
+  await markLoopRunning(config, "heartbeat");
+  await monitorMaintenance(config);
+  track(await tick());
+  schedule();
 }
 
+// commands that validate the managed config outside a push (pushes check
+// for themselves, so long-running processes notice an OpenClaw upgrade)
+const SCHEMA_CHECK_COMMANDS = new Set([
+  "config:validate",
+  "config-validate",
+  "validate",
+  "config:migrate",
+  "config-migrate",
+  "migrate",
+  "config:rollback",
+  "config-rollback",
+]);
+
 async function main() {
   const [cmd] = process.argv.slice(2);
+  const args = process.argv.slice(3).filter((arg) => !arg.startsWith("--"));
+  const verify = process.argv.includes("--no-verify") ? false : undefined;
   let config = null;
+  installShutdownHandler();
   if (cmd === "init") {
     const scope = process.argv.includes("--local") ? "local" : "global";
     await ensureDefaultConfig({ scope });
   }
   const loaded = await loadConfig();
   config = loaded.config;
+  if (SCHEMA_CHECK_COMMANDS.has(cmd)) {
+    await ensureLocalSchemaFresh(config);
+  }
 
   switch (cmd) {
     case "init":
@@ -928,28 +5253,170 @@ async function main() {
       break;
     case "config:push":
     case "config-push":
-    case "push":
-      await syncPush(config);
+    case "push": {
+      const { reached } = await callDaemon(
+        config,
+        { command: "push", verify },
+        CONTROL_LONG_TIMEOUT_MS,
+      );
+      if (reached) {
+        logInfo("Daemon applied repo config.");
+      } else {
+        await syncPush(config, { verify });
+      }
+      break;
+    }
+    case "warden:check":
+    case "warden-check":
+    case "check":
+      logInfo(`Warden config is valid: ${loaded.configPath}`);
+      break;
+    case "config:diff":
+    case "config-diff":
+    case "diff":
+      await showDiff(config);
+      break;
+    case "config:scan":
+    case "config-scan":
+    case "scan":
+      await scanManagedConfig(config);
       break;
     case "config:validate":
     case "config-validate":
     case "validate":
+      if (process.argv.includes("--json")) {
+        await printValidationReport(config);
+        break;
+      }
       await validateConfig(config);
       logInfo("Config is valid.");
       break;
+    case "config:migrate":
+    case "config-migrate":
+    case "migrate":
+      await migrateConfig(config, args[0], {
+        dryRun: process.argv.includes("--dry-run"),
+      });
+      break;
+    case "config:history":
+    case "config-history":
+    case "history":
+      await showHistory(config);
+      break;
+    case "config:show":
+    case "config-show":
+      await showRevision(config, args[0]);
+      break;
+    case "config:rollback":
+    case "config-rollback":
+      await rollbackConfig(config, args[0], { verify });
+      break;
     case "schema:update":
-      await updateSchema(config);
+      await updateSchema(config, { force: process.argv.includes("--force") });
       break;
-    case "watch":
-      await watchConfig(config);
+    case "schema:use":
+      await useSchema(config, args[0]);
       break;
-    case "heartbeat":
+    case "schema:list":
+      await showSchemas(config);
+      break;
+    case "watch": {
+      const services = { metricsServer: startMetricsServer(config) };
+      await startControlServer(config);
+      services.watcher = await watchConfig(config);
+      watchWardenConfig(config, services);
+      break;
+    }
+    case "heartbeat": {
+      const services = { metricsServer: startMetricsServer(config) };
+      await startControlServer(config);
+      watchWardenConfig(config, services);
       await runHeartbeatLoop(config);
       break;
-    case "run":
-      await watchConfig(config);
+    }
+    case "run": {
+      const services = { metricsServer: startMetricsServer(config) };
+      await startControlServer(config);
+      services.watcher = await watchConfig(config);
+      watchWardenConfig(config, services);
       await runHeartbeatLoop(config);
       break;
+    }
+    case "heartbeat:reset":
+    case "heartbeat-reset":
+      await resetBreaker(config);
+      logInfo("Circuit breaker reset.");
+      break;
+    case "heartbeat:now":
+    case "heartbeat-now": {
+      const { result } = await callDaemon(
+        config,
+        { command: "heartbeat:now" },
+        CONTROL_LONG_TIMEOUT_MS,
+      );
+      const record = result || (await runHeartbeatOnce(config));
+      if (record) {
+        logInfo(
+          `Heartbeat ${record.ok ? "ok" : `failed: ${record.reason}`}${result ? " (daemon)" : ""}.`,
+        );
+      }
+      break;
+    }
+    case "pause": {
+      const forValue = readFlagValue("--for");
+      const durationMs = forValue ? parseDuration(forValue) : null;
+      const { reached } = await callDaemon(config, {
+        command: "pause",
+        durationMs,
+      });
+      if (!reached) await pauseHeartbeat(config, durationMs);
+      break;
+    }
+    case "resume": {
+      const { reached } = await callDaemon(config, { command: "resume" });
+      if (!reached) await resumeHeartbeat(config);
+      break;
+    }
+    case "maintenance:start":
+    case "maintenance-start": {
+      const forValue = readFlagValue("--for");
+      const durationMs = forValue ? parseDuration(forValue) : null;
+      const reason = readFlagValue("--reason");
+      const { reached } = await callDaemon(config, {
+        command: "maintenance:start",
+        durationMs,
+        reason,
+      });
+      if (!reached) await startMaintenance(config, durationMs, reason);
+      break;
+    }
+    case "maintenance:stop":
+    case "maintenance-stop": {
+      const { reached } = await callDaemon(config, {
+        command: "maintenance:stop",
+      });
+      if (!reached) await stopMaintenance(config);
+      break;
+    }
+    case "status": {
+      await showStatus(config);
+      const { reached, result } = await callDaemon(config, {
+        command: "status",
+      });
+      if (reached) {
+        const live = [
+          `Live pid:      ${result.pid} (up ${result.uptimeSeconds}s)`,
+          `Checking now:  ${result.heartbeatRunning ? "yes" : "no"}`,
+          `Since start:   ${result.heartbeat.success} ok, ${result.heartbeat.failure} failed, ${result.restarts} restarts`,
+        ];
+        const hbLoop = result.loops?.heartbeat;
+        if (hbLoop?.nextTickAt) {
+          live.push(`Next check:    ${hbLoop.nextTickAt} (${hbLoop.mode})`);
+        }
+        console.log(live.join("\n"));
+      }
+      break;
+    }
     case "daemon:start":
     case "daemon-start":
       await daemonStart();
@@ -980,13 +5447,29 @@ async function main() {
       console.log(
         `openclaw-warden commands:\n\n` +
           `  init           Seed repo config + init git\n` +
-          `  schema:update  Fetch schema from OpenClaw source\n` +
-          `  config:validate (alias: validate)\n` +
+          `  warden:check   Validate warden.config.json only\n` +
+          `  schema:update  Fetch schema from OpenClaw source  [--force]\n` +
+          `  schema:list    List stored schema versions\n` +
+          `  schema:use <version>  Pin a stored schema version\n` +
+          `  config:validate (alias: validate)  [--json]\n` +
+          `  config:scan (alias: scan)  Check repo config for likely secrets\n` +
           `  config:pull (alias: pull)\n` +
-          `  config:push (alias: push)\n` +
+          `  config:push (alias: push)  [--no-verify]\n` +
+          `  config:diff (alias: diff)  Semantic diff repo -> live config\n` +
+          `  config:migrate [version] (alias: migrate)  Apply config migrations  [--dry-run]\n` +
+          `  config:history (alias: history)  List managed config commits\n` +
+          `  config:show <rev>     Print managed config at a revision\n` +
+          `  config:rollback <rev> Validate + push a past revision  [--no-verify]\n` +
           `  watch          Watch repo config and auto-apply on changes\n` +
           `  heartbeat      Run heartbeat loop\n` +
           `  run            Watch + heartbeat\n` +
+          `  heartbeat:now  Run a heartbeat check now (via daemon if running)\n` +
+          `  pause [--for 30m]  Pause heartbeat checks\n` +
+          `  resume         Resume heartbeat checks\n` +
+          `  maintenance:start [--for 1h] [--reason text]  Suppress restarts/notifications\n` +
+          `  maintenance:stop  End ad-hoc maintenance and check now\n` +
+          `  heartbeat:reset  Close the restart circuit breaker\n` +
+          `  status         Summarize heartbeat history and loops\n` +
           `  daemon:start   Run in background (pid/log in os.tmpdir)\n` +
           `  daemon:stop    Stop background daemon\n` +
           `  daemon:status  Check daemon status\n` +
@@ -998,7 +5481,43 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  logError(err && err.message ? err.message : String(err));
-  process.exit(1);
-});
+function isEntryPoint() {
+  // npm links the bin, so compare resolved paths
+  try {
+    return (
+      fs.realpathSync(process.argv[1]) ===
+      fs.realpathSync(fileURLToPath(import.meta.url))
+    );
+  } catch {
+    return false;
+  }
+}
+
+// exported for the test suite
+export {
+  buildStages,
+  classifySecret,
+  cronMatches,
+  formatCmd,
+  getActiveMaintenance,
+  locateIssue,
+  migrateConfig,
+  notifyEvent,
+  parseCron,
+  reloadWardenConfig,
+  resolveSecretRefs,
+  restoreSecretRefs,
+  runNativeProbe,
+  schemaImpact,
+  schemaIssues,
+  startMetricsServer,
+  syncPull,
+  syncPush,
+};
+
+if (isEntryPoint()) {
+  main().catch((err) => {
+    logError(err && err.message ? err.message : String(err));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { formatCmd } from "../src/warden.js";
+
+const HOSTILE = [
+  "plain",
+  "with space",
+  `it's "quoted"`,
+  "$(touch /tmp/warden-pwned) `id` $HOME",
+  "back\\slash; rm -rf nope && echo x",
+  "",
+];
+
+// prints each argument on its own line, so splitting shows word boundaries
+const printArgs = (cmd) =>
+  execFileSync("sh", ["-c", `printf '%s\\n' ${cmd}`], { encoding: "utf8" });
+
+test(
+  "formatCmd keeps placeholders one literal argument in every quoting context",
+  { skip: process.platform === "win32" },
+  () => {
+    for (const value of HOSTILE) {
+      const vars = { v: value };
+      assert.equal(printArgs(formatCmd("{v}", vars)), `${value}\n`, value);
+      assert.equal(
+        printArgs(formatCmd('"pre {v} post"', vars)),
+        `pre ${value} post\n`,
+        value,
+      );
+      assert.equal(
+        printArgs(formatCmd("'pre {v} post'", vars)),
+        `pre ${value} post\n`,
+        value,
+      );
+    }
+  },
+);
+
+test("formatCmd leaves unknown placeholders and escapes alone", () => {
+  assert.equal(
+    formatCmd('echo {unknown} \\"{id}\\"', { id: "a b" }),
+    process.platform === "win32"
+      ? `echo {unknown} \\""a b"\\"`
+      : `echo {unknown} \\"'a b'\\"`,
+  );
+});
+
+test("formatCmd fills argv arrays without quoting", () => {
+  assert.deepEqual(
+    formatCmd(["openclaw", "agent", "--agent", "{agentId}", "-m", "{msg}"], {
+      agentId: "main",
+      msg: `it's "fine" $HOME`,
+    }),
+    ["openclaw", "agent", "--agent", "main", "-m", `it's "fine" $HOME`],
+  );
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { syncPull, syncPush } from "../src/warden.js";
+
+const COMMENTED = `{
+  // the larger model kept timing out on long tool calls
+  "agents": { "defaults": { "model": "anthropic/claude-sonnet-4-20250514" } },
+  /* bot token lives outside git */
+  "channels": { "telegram": { "botToken": "\${env:WARDEN_TEST_BOT}", }, },
+}
+`;
+
+async function setup(t, repoName) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  process.env.WARDEN_TEST_BOT = "123456:bot-secret";
+  t.after(() => delete process.env.WARDEN_TEST_BOT);
+  await fs.mkdir(path.join(dir, "config"));
+  await fs.mkdir(path.join(dir, "state"));
+  await fs.writeFile(path.join(dir, "config", repoName), COMMENTED);
+  await fs.writeFile(path.join(dir, "state/schema.json"), '{"type":"object"}');
+  const config = {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: {
+      repoConfig: `./config/${repoName}`,
+      liveConfig: "./live/openclaw.json",
+      schemaFile: "./state/schema.json",
+      stateDir: "./state",
+    },
+    git: { enabled: false },
+  };
+  return {
+    config,
+    repoPath: path.join(dir, "config", repoName),
+    livePath: path.join(dir, "live/openclaw.json"),
+  };
+}
+
+for (const repoName of ["openclaw.jsonc", "openclaw.json5"]) {
+  test(`push and pull keep the comments of ${repoName}`, async (t) => {
+    const { config, repoPath, livePath } = await setup(t, repoName);
+
+    await syncPush(config, { verify: false });
+    const live = JSON.parse(await fs.readFile(livePath, "utf8"));
+    assert.deepEqual(live, {
+      agents: { defaults: { model: "anthropic/claude-sonnet-4-20250514" } },
+      channels: { telegram: { botToken: "123456:bot-secret" } },
+    });
+
+    live.agents.defaults.model = "anthropic/claude-haiku-4-5";
+    await fs.writeFile(livePath, JSON.stringify(live, null, 2));
+    await syncPull(config);
+
+    assert.equal(
+      await fs.readFile(repoPath, "utf8"),
+      COMMENTED.replace(
+        "anthropic/claude-sonnet-4-20250514",
+        "anthropic/claude-haiku-4-5",
+      ),
+    );
+  });
+}
+
+test("a plain .json managed config rejects comments", async (t) => {
+  const { config } = await setup(t, "openclaw.json");
+  await assert.rejects(syncPush(config, { verify: false }), /Invalid JSON/);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { cronMatches, getActiveMaintenance, parseCron } from "../src/warden.js";
+
+// local time, like the cron schedule itself; 2026-10-18 is a Sunday
+const at = (day, hour, minute) => new Date(2026, 9, day, hour, minute);
+
+test("parseCron expands lists, ranges and steps", () => {
+  const [minute, hour, dom, month, dow] = parseCron("*/15 1-3,22 * 1,6/3 7");
+  assert.deepEqual([...minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...hour.values], [1, 2, 3, 22]);
+  assert.equal(dom.any, true);
+  assert.deepEqual([...month.values], [1, 6, 9, 12]);
+  // 7 is Sunday, like 0
+  assert.deepEqual([...dow.values], [0]);
+});
+
+test("parseCron rejects malformed and out-of-range fields", () => {
+  assert.throws(() => parseCron("* * * *"), /expected 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Cron minute out of range "60"/);
+  assert.throws(() => parseCron("* 5-2 * * *"), /Cron hour out of range "5-2"/);
+  assert.throws(
+    () => parseCron("* * * * mon"),
+    /Invalid cron day of week "mon"/,
+  );
+  assert.throws(() => parseCron("*/0 * * * *"), /out of range/);
+});
+
+test("cronMatches checks every field", () => {
+  const fields = parseCron("30 2 * * 0");
+  assert.equal(cronMatches(fields, at(18, 2, 30)), true);
+  assert.equal(cronMatches(fields, at(18, 2, 31)), false);
+  assert.equal(cronMatches(fields, at(19, 2, 30)), false);
+});
+
+test("cronMatches ORs day of month and day of week when both are set", () => {
+  // the 1st of the month or any Sunday
+  const fields = parseCron("0 3 1 * 0");
+  assert.equal(cronMatches(fields, at(1, 3, 0)), true);
+  assert.equal(cronMatches(fields, at(18, 3, 0)), true);
+  assert.equal(cronMatches(fields, at(19, 3, 0)), false);
+});
+
+test("a cron maintenance window lasts durationMinutes from each match", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const config = {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: { stateDir: "./state" },
+    maintenance: {
+      windows: [
+        { cron: "0 2 * * 0", durationMinutes: 90, reason: "weekly upgrade" },
+      ],
+    },
+  };
+
+  assert.equal(await getActiveMaintenance(config, at(18, 1, 59)), null);
+  assert.deepEqual(await getActiveMaintenance(config, at(18, 3, 29)), {
+    reason: "weekly upgrade",
+    end: at(18, 3, 30).toISOString(),
+  });
+  assert.equal(await getActiveMaintenance(config, at(18, 3, 30)), null);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import fs from "node:fs/promises";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { reloadWardenConfig, startMetricsServer } from "../src/warden.js";
+
+async function makeConfig(t, overrides = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: { stateDir: "./state", schemaFile: "./state/schema.json" },
+    ...overrides,
+  };
+}
+
+test("metrics server serves metrics, status and healthz", async (t) => {
+  const config = await makeConfig(t, {
+    metrics: { enabled: true, host: "127.0.0.1", port: 0 },
+  });
+  const server = startMetricsServer(config);
+  t.after(() => server.close());
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const metrics = await fetch(`${base}/metrics`);
+  assert.equal(metrics.status, 200);
+  assert.match(metrics.headers.get("content-type"), /^text\/plain/);
+  assert.match(await metrics.text(), /^warden_up 1$/m);
+
+  const status = await fetch(`${base}/status`);
+  assert.equal(status.status, 200);
+  assert.equal((await status.json()).pid, process.pid);
+
+  // no loops run in the test process, so it reports unhealthy
+  const healthz = await fetch(`${base}/healthz`);
+  assert.equal(healthz.status, 503);
+  assert.equal((await healthz.json()).ok, false);
+
+  assert.equal((await fetch(`${base}/nope`)).status, 404);
+  assert.equal(
+    (await fetch(`${base}/metrics`, { method: "POST" })).status,
+    405,
+  );
+});
+
+test("reloading the metrics settings rebinds the same port", async (t) => {
+  const probe = net.createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, "warden.config.json");
+  process.env.WARDEN_CONFIG = configPath;
+  t.after(() => delete process.env.WARDEN_CONFIG);
+  const base = {
+    paths: {
+      repoConfig: "./config/openclaw.json",
+      liveConfig: "./live/openclaw.json",
+      schemaFile: "./state/schema.json",
+      stateDir: "./state",
+    },
+    logging: { file: path.join(dir, "warden.log") },
+  };
+
+  const config = {
+    ...base,
+    metrics: { enabled: true, host: "127.0.0.1", port },
+    __configPath: configPath,
+  };
+  const services = { metricsServer: startMetricsServer(config) };
+  t.after(() => services.metricsServer?.close());
+  await once(services.metricsServer, "listening");
+  // leaves a keep-alive connection open, like a scraper would
+  assert.equal((await fetch(`http://127.0.0.1:${port}/metrics`)).status, 200);
+
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({ ...base, metrics: { enabled: true, port } }),
+  );
+  const previous = services.metricsServer;
+  let closed = false;
+  previous.once("close", () => {
+    closed = true;
+  });
+  assert.equal(await reloadWardenConfig(config, services), true);
+  // the old server and its scrape connection are gone before the rebind
+  assert.equal(closed, true);
+  assert.notEqual(services.metricsServer, previous);
+  await once(services.metricsServer, "listening");
+  // a fresh connection: the pooled keep-alive one was closed with the old server
+  const [res] = await once(
+    http.get(`http://127.0.0.1:${port}/metrics`, { agent: false }),
+    "response",
+  );
+  res.resume();
+  assert.equal(res.statusCode, 200);
+});
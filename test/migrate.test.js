@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { migrateConfig } from "../src/warden.js";
+
+const TARGET_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    channels: { type: "object" },
+    agents: {
+      type: "object",
+      properties: {
+        defaults: {
+          type: "object",
+          additionalProperties: false,
+          properties: { maxTurns: { type: "number" } },
+        },
+      },
+    },
+  },
+};
+
+const USER_MIGRATION = `export const version = "2026.2.0";
+export const description = "rename agents.defaults.maxTurn";
+export const applies = (config) => config.agents?.defaults?.maxTurn !== undefined;
+export function migrate(config) {
+  config.agents.defaults.maxTurns = config.agents.defaults.maxTurn;
+  delete config.agents.defaults.maxTurn;
+}
+`;
+
+async function setup(t, managed) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const write = async (rel, data) => {
+    await fs.mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+    await fs.writeFile(path.join(dir, rel), data);
+  };
+  await write("config/openclaw.jsonc", managed);
+  await write("migrations/001-max-turns.js", USER_MIGRATION);
+  await write("state/schema.json", '{"type":"object"}');
+  await write("state/schemas/v2026.2.0.json", JSON.stringify(TARGET_SCHEMA));
+  await write(
+    "state/schemas/active.json",
+    JSON.stringify({ version: "v2026.1.0", source: "local", pinned: false }),
+  );
+  const config = {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: {
+      repoConfig: "./config/openclaw.jsonc",
+      liveConfig: "./live/openclaw.json",
+      schemaFile: "./state/schema.json",
+      stateDir: "./state",
+    },
+    migrations: { dir: "./migrations" },
+    git: { enabled: false },
+  };
+  const read = async (rel) => fs.readFile(path.join(dir, rel), "utf8");
+  return { config, read };
+}
+
+test("migrateConfig runs bundled and user migrations and activates the schema", async (t) => {
+  const { config, read } = await setup(
+    t,
+    `{
+  // agent defaults
+  "agents": { "defaults": { "maxTurn": 8 } },
+  "telegram": { "enabled": true }
+}
+`,
+  );
+
+  await migrateConfig(config, "v2026.2.0");
+
+  const migrated = await read("config/openclaw.jsonc");
+  assert.match(migrated, /\/\/ agent defaults/);
+  assert.deepEqual(JSON.parse(migrated.replace(/^\s*\/\/.*$/m, "")), {
+    agents: { defaults: { maxTurns: 8 } },
+    channels: { telegram: { enabled: true } },
+  });
+  const active = JSON.parse(await read("state/schemas/active.json"));
+  assert.equal(active.version, "v2026.2.0");
+  assert.equal(active.openclawVersion, "2026.2.0");
+  assert.deepEqual(JSON.parse(await read("state/schema.json")), TARGET_SCHEMA);
+
+  // the applies checks read the config, so a second run is a no-op
+  await migrateConfig(config, "v2026.2.0");
+  assert.equal(await read("config/openclaw.jsonc"), migrated);
+});
+
+test("migrateConfig writes nothing when the result does not validate", async (t) => {
+  const managed =
+    '{ "agents": { "defaults": { "maxTurn": 8, "modle": "x" } } }\n';
+  const { config, read } = await setup(t, managed);
+
+  await assert.rejects(
+    migrateConfig(config, "v2026.2.0"),
+    /does not validate against schema v2026\.2\.0; nothing was written/,
+  );
+  assert.equal(await read("config/openclaw.jsonc"), managed);
+  const active = JSON.parse(await read("state/schemas/active.json"));
+  assert.equal(active.version, "v2026.1.0");
+});
+
+test("migrateConfig dry run leaves the config and schema alone", async (t) => {
+  const managed = '{ "telegram": { "enabled": true } }\n';
+  const { config, read } = await setup(t, managed);
+
+  await migrateConfig(config, "v2026.2.0", { dryRun: true });
+  assert.equal(await read("config/openclaw.jsonc"), managed);
+  assert.equal(await read("state/schema.json"), '{"type":"object"}');
+});
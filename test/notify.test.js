@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { notifyEvent } from "../src/warden.js";
+
+async function makeConfig(t, overrides = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: { stateDir: "./state", schemaFile: "./state/schema.json" },
+    ...overrides,
+  };
+}
+
+// stand-in server; each request is recorded and answered by `reply`
+async function startServer(t, reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, body });
+      const { status = 200, json } = reply(req) || {};
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(json === undefined ? "" : JSON.stringify(json));
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+async function readNotifyState(config) {
+  const file = path.join(
+    path.dirname(config.__configPath),
+    "state/notify.json",
+  );
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+test("webhook notification posts the payload and starts the rate limit", async (t) => {
+  const server = await startServer(t, () => ({ status: 204 }));
+  const config = await makeConfig(t, {
+    notify: { channels: [{ type: "webhook", url: `${server.url}/hook` }] },
+  });
+
+  const results = await notifyEvent(config, "config-push", "pushed abc");
+  assert.deepEqual(results, [{ channel: "webhook#0", ok: true }]);
+  assert.equal(server.requests.length, 1);
+  assert.equal(server.requests[0].method, "POST");
+  assert.equal(server.requests[0].url, "/hook");
+  const payload = JSON.parse(server.requests[0].body);
+  assert.equal(payload.event, "config-push");
+  assert.equal(payload.message, "pushed abc");
+
+  const state = await readNotifyState(config);
+  assert.ok(state.sent["config-push:pushed abc"]);
+  const again = await notifyEvent(config, "config-push", "pushed abc");
+  assert.equal(again[0].suppressed, true);
+  assert.equal(server.requests.length, 1);
+});
+
+test("webhook body template escapes values as JSON", async (t) => {
+  const server = await startServer(t, () => ({ status: 200 }));
+  const config = await makeConfig(t, {
+    notify: {
+      channels: [
+        {
+          type: "webhook",
+          url: server.url,
+          body: '{"text":"{event}: {message}"}',
+        },
+      ],
+    },
+  });
+
+  await notifyEvent(config, "probe-failure", 'gateway said "no"\nretry');
+  assert.deepEqual(JSON.parse(server.requests[0].body), {
+    text: 'probe-failure: gateway said "no"\nretry',
+  });
+});
+
+test("failed webhook does not start the rate limit", async (t) => {
+  let status = 500;
+  const server = await startServer(t, () => ({ status }));
+  const config = await makeConfig(t, {
+    notify: { channels: [{ type: "webhook", url: server.url }] },
+  });
+
+  const failed = await notifyEvent(config, "rollback", "rolled back");
+  assert.equal(failed[0].ok, false);
+  assert.match(failed[0].error, /HTTP 500/);
+  await assert.rejects(readNotifyState(config), { code: "ENOENT" });
+
+  status = 200;
+  const retried = await notifyEvent(config, "rollback", "rolled back");
+  assert.equal(retried[0].ok, true);
+  assert.equal(server.requests.length, 2);
+});
+
+test("notifications are suppressed during a maintenance window", async (t) => {
+  const server = await startServer(t, () => ({ status: 204 }));
+  const config = await makeConfig(t, {
+    notify: { channels: [{ type: "webhook", url: server.url }] },
+  });
+  const stateDir = path.join(path.dirname(config.__configPath), "state");
+  await fs.mkdir(stateDir);
+  await fs.writeFile(
+    path.join(stateDir, "maintenance.json"),
+    JSON.stringify({ start: new Date().toISOString(), end: null }),
+  );
+
+  const results = await notifyEvent(config, "config-push", "Pushed abc1234");
+  assert.deepEqual(results, [{ channel: "*", ok: true, suppressed: true }]);
+  assert.equal(server.requests.length, 0);
+});
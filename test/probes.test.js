@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import fs from "node:fs/promises";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { buildStages, runNativeProbe } from "../src/warden.js";
+
+async function makeConfig(t, overrides = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return {
+    __configPath: path.join(dir, "warden.config.json"),
+    paths: { stateDir: "./state", schemaFile: "./state/schema.json" },
+    ...overrides,
+  };
+}
+
+// stand-in server; each request is recorded and answered by `reply`
+async function startServer(t, reply, delayMs = 0) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, body });
+      const { status = 200, json } = reply(req) || {};
+      setTimeout(() => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(json === undefined ? "" : JSON.stringify(json));
+      }, delayMs);
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test("http probe checks status and JSON path", async (t) => {
+  const server = await startServer(t, (req) =>
+    req.url === "/down"
+      ? { status: 503 }
+      : { json: { status: "ok", gateway: { ready: false } } },
+  );
+  const config = await makeConfig(t);
+  const probe = (fields) =>
+    runNativeProbe({ type: "http", ...fields }, 0, config, "test");
+
+  const ok = await probe({ url: server.url, jsonPath: "status", equals: "ok" });
+  assert.equal(ok.ok, true);
+
+  const down = await probe({ url: `${server.url}/down` });
+  assert.equal(down.ok, false);
+  assert.equal(down.reason, "http#0: HTTP 503, expected 200");
+
+  const notReady = await probe({
+    name: "gateway",
+    url: server.url,
+    jsonPath: "gateway.ready",
+  });
+  assert.equal(notReady.ok, false);
+  assert.equal(notReady.reason, "gateway: gateway.ready is false");
+});
+
+test("http probe reports a timeout", async (t) => {
+  const server = await startServer(t, () => ({ json: { ok: true } }), 500);
+  const config = await makeConfig(t);
+  const result = await runNativeProbe(
+    { type: "http", url: server.url, timeoutSeconds: 0.1 },
+    0,
+    config,
+    "test",
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.timedOut, true);
+  assert.equal(result.reason, "http#0: timed out after 0.1s");
+});
+
+test("tcp probe connects and reports refused ports", async (t) => {
+  const server = await startServer(t, () => ({}));
+  const config = await makeConfig(t);
+  const { port } = new URL(server.url);
+
+  const open = await runNativeProbe(
+    { type: "tcp", port: Number(port) },
+    0,
+    config,
+    "test",
+  );
+  assert.equal(open.ok, true);
+
+  const closed = net.createServer();
+  closed.listen(0, "127.0.0.1");
+  await once(closed, "listening");
+  const closedPort = closed.address().port;
+  await new Promise((resolve) => closed.close(resolve));
+  const refused = await runNativeProbe(
+    { type: "tcp", name: "gateway-port", port: closedPort },
+    0,
+    config,
+    "test",
+  );
+  assert.equal(refused.ok, false);
+  assert.match(refused.reason, /^gateway-port: .*ECONNREFUSED/);
+});
+
+test("command probe checks exit code and JSON path", async (t) => {
+  const config = await makeConfig(t);
+  const node = (script) => [process.execPath, "-e", script];
+
+  const ok = await runNativeProbe(
+    {
+      type: "command",
+      command: node(
+        'console.log("starting"); console.log(\'{"status":"ok"}\')',
+      ),
+      jsonPath: "status",
+      equals: "ok",
+    },
+    0,
+    config,
+    "test",
+  );
+  assert.equal(ok.ok, true);
+
+  const failed = await runNativeProbe(
+    { type: "command", command: node("process.exit(3)") },
+    1,
+    config,
+    "test",
+  );
+  assert.equal(failed.ok, false);
+  assert.match(failed.reason, /^command#1: .*3/);
+});
+
+test("an agentProbe command with {agentId} probes every configured agent", async (t) => {
+  const config = await makeConfig(t, {
+    paths: {
+      stateDir: "./state",
+      schemaFile: "./state/schema.json",
+      repoConfig: "./openclaw.json",
+    },
+    heartbeat: {
+      checkCommand: [process.execPath, "-e", ""],
+      agentProbe: {
+        enabled: true,
+        command: [
+          process.execPath,
+          "-e",
+          'process.exit(process.argv[1] === "research" ? 1 : 0)',
+          "{agentId}",
+        ],
+      },
+    },
+  });
+  await fs.writeFile(
+    path.join(path.dirname(config.__configPath), "openclaw.json"),
+    JSON.stringify({ agents: { list: [{ id: "main" }, { id: "research" }] } }),
+  );
+
+  const stages = buildStages(config);
+  assert.deepEqual(
+    stages.map((stage) => stage.name),
+    ["gateway", "agents"],
+  );
+  const results = await stages[1].run("test");
+  assert.deepEqual(
+    results.map((r) => [r.agentId, r.ok]),
+    [
+      ["main", true],
+      ["research", false],
+    ],
+  );
+
+  config.heartbeat.agentProbe.command = [process.execPath, "-e", ""];
+  assert.deepEqual(
+    buildStages(config).map((stage) => stage.name),
+    ["gateway"],
+  );
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { schemaImpact } from "../src/warden.js";
+
+const OLD_SCHEMA = {
+  type: "object",
+  properties: {
+    gateway: {
+      type: "object",
+      properties: {
+        port: { type: "number" },
+        bind_host: { type: "string" },
+        legacyAuth: { type: "object", properties: { token: {} } },
+      },
+    },
+    agents: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        properties: { model: { type: "string" } },
+      },
+    },
+  },
+};
+
+const NEW_SCHEMA = {
+  type: "object",
+  properties: {
+    gateway: {
+      type: "object",
+      required: ["mode"],
+      properties: {
+        port: { type: "number" },
+        bindHost: { type: "string" },
+        mode: { type: "string" },
+      },
+    },
+    agents: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["model"],
+        properties: { model: { type: "string" } },
+      },
+    },
+  },
+};
+
+test("schemaImpact reports removed, renamed and newly required keys", () => {
+  const report = schemaImpact(OLD_SCHEMA, NEW_SCHEMA, {
+    gateway: { port: 18789, bind_host: "0.0.0.0", legacyAuth: { token: "x" } },
+    agents: { main: { model: "anthropic/claude-sonnet-4-20250514" } },
+  });
+
+  // the nested legacyAuth.token is covered by its removed parent
+  assert.deepEqual(report.removed, ["gateway.legacyAuth"]);
+  assert.deepEqual(report.renamed, [
+    { from: "gateway.bind_host", to: "gateway.bindHost" },
+  ]);
+  assert.deepEqual(report.required, ["gateway.mode"]);
+});
+
+test("schemaImpact ignores changes to keys the config does not use", () => {
+  const report = schemaImpact(OLD_SCHEMA, NEW_SCHEMA, {
+    gateway: { port: 18789, mode: "local" },
+  });
+
+  assert.deepEqual(report, { removed: [], renamed: [], required: [] });
+});
+
+test("schemaImpact follows $ref and skips requirements inside anyOf", () => {
+  const withRefs = (schema) => ({
+    $defs: { gateway: schema.properties.gateway },
+    type: "object",
+    properties: {
+      gateway: { $ref: "#/$defs/gateway" },
+      tools: {
+        anyOf: [
+          { type: "object", required: ["allow"], properties: { allow: {} } },
+        ],
+      },
+    },
+  });
+
+  const report = schemaImpact(withRefs(OLD_SCHEMA), withRefs(NEW_SCHEMA), {
+    gateway: { bind_host: "127.0.0.1" },
+    tools: {},
+  });
+
+  assert.deepEqual(report.renamed, [
+    { from: "gateway.bind_host", to: "gateway.bindHost" },
+  ]);
+  assert.deepEqual(report.required, ["gateway.mode"]);
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  classifySecret,
+  resolveSecretRefs,
+  restoreSecretRefs,
+} from "../src/warden.js";
+
+test("classifySecret leaves model ids, paths and URLs alone", () => {
+  for (const value of [
+    "anthropic/claude-sonnet-4-20250514",
+    "openai/gpt-4o-mini-2024-07-18",
+    "claude-3-5-haiku-20241022",
+    "/home/openclaw/.openclaw/workspace/agents/main",
+    "https://api.example.com/v1/chat/completions",
+    "gateway.example.internal:18789",
+  ]) {
+    assert.equal(classifySecret("model", value), null, value);
+  }
+});
+
+test("classifySecret flags known token formats", () => {
+  assert.equal(
+    classifySecret("key", `sk-ant-api03-${"a1B2c3D4e5".repeat(4)}`),
+    "anthropic-key",
+  );
+  assert.equal(
+    classifySecret("value", `ghp_${"Ab1".repeat(12)}`),
+    "github-token",
+  );
+  assert.equal(
+    classifySecret(
+      "bot",
+      `123456789:${"AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw".padEnd(35, "x")}`,
+    ),
+    "telegram-bot-token",
+  );
+});
+
+test("classifySecret flags sensitive keys and opaque high-entropy values", () => {
+  assert.equal(classifySecret("apiKey", "hunter2"), "sensitive-key");
+  assert.equal(
+    classifySecret("value", "Zk9xQ2h4V3pMb1RyN0FtYjVlUGc2"),
+    "high-entropy",
+  );
+});
+
+test("classifySecret ignores references", () => {
+  assert.equal(classifySecret("token", "${env:TELEGRAM_TOKEN}"), null);
+  assert.equal(classifySecret("apiKey", "${file:~/.secrets/openai}"), null);
+});
+
+async function withSecrets(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "warden-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, "openai"), "sk-file-secret-value\n");
+  process.env.WARDEN_TEST_TOKEN = "123456:telegram-secret";
+  t.after(() => delete process.env.WARDEN_TEST_TOKEN);
+  return dir;
+}
+
+const REPO = `{
+  // comments survive resolution
+  "channels": { "telegram": { "token": "\${env:WARDEN_TEST_TOKEN}" } },
+  "openai": { "apiKey": "\${file:./openai}" },
+  "hook": "https://hooks.example.com/\${env:WARDEN_TEST_TOKEN}/send"
+}
+`;
+
+test("secret refs resolve for the live file and restore on pull", async (t) => {
+  const dir = await withSecrets(t);
+  const { text, secrets } = await resolveSecretRefs(REPO, dir);
+  const live = JSON.parse(text.replace(/^\s*\/\/.*$/m, ""));
+  assert.equal(live.channels.telegram.token, "123456:telegram-secret");
+  assert.equal(live.openai.apiKey, "sk-file-secret-value");
+  assert.equal(secrets.size, 2);
+
+  // the hook URL changed around the secret; the secret itself did not
+  live.hook = "https://hooks.example.com/123456:telegram-secret/v2";
+  const restored = JSON.parse(
+    await restoreSecretRefs(
+      JSON.stringify(live),
+      REPO,
+      dir,
+      path.join(dir, "openclaw.jsonc"),
+    ),
+  );
+  assert.deepEqual(restored, {
+    channels: { telegram: { token: "\${env:WARDEN_TEST_TOKEN}" } },
+    openai: { apiKey: "\${file:./openai}" },
+    hook: "https://hooks.example.com/\${env:WARDEN_TEST_TOKEN}/v2",
+  });
+});
+
+test("a rotated secret is kept as a literal instead of its old ref", async (t) => {
+  const dir = await withSecrets(t);
+  const live = {
+    channels: { telegram: { token: "999999:rotated-secret" } },
+    openai: { apiKey: "sk-file-secret-value" },
+    // the same secret at a path without a ref is left alone
+    note: "123456:telegram-secret",
+  };
+  const restored = JSON.parse(
+    await restoreSecretRefs(
+      JSON.stringify(live),
+      REPO,
+      dir,
+      path.join(dir, "openclaw.jsonc"),
+    ),
+  );
+  assert.equal(restored.channels.telegram.token, "999999:rotated-secret");
+  assert.equal(restored.openai.apiKey, "\${file:./openai}");
+  assert.equal(restored.note, "123456:telegram-secret");
+});
+
+test("an unresolvable ref rejects strict resolution", async () => {
+  await assert.rejects(
+    resolveSecretRefs('{"token":"${env:WARDEN_TEST_MISSING}"}', os.tmpdir()),
+    /Cannot resolve \$\{env:WARDEN_TEST_MISSING\}: environment variable WARDEN_TEST_MISSING is not set/,
+  );
+});
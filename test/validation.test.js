@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTree } from "jsonc-parser";
+import { locateIssue, schemaIssues } from "../src/warden.js";
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    model: { anyOf: [{ type: "string" }, { type: "object" }] },
+    mode: { enum: ["fast", "slow"] },
+    channels: {
+      type: "array",
+      items: {
+        oneOf: [
+          {
+            type: "object",
+            properties: {
+              type: { const: "telegram" },
+              token: { type: "string" },
+            },
+            required: ["type", "token"],
+            additionalProperties: false,
+          },
+          {
+            type: "object",
+            properties: {
+              type: { const: "discord" },
+              guild: { type: "string" },
+            },
+            required: ["type", "guild"],
+            additionalProperties: false,
+          },
+        ],
+      },
+    },
+  },
+};
+
+const brief = (issues) =>
+  issues.map((issue) => [issue.path.join("."), issue.message]);
+
+test("a type union that matches nothing is one issue", () => {
+  assert.deepEqual(brief(schemaIssues({ model: 5 }, SCHEMA)), [
+    ["model", "must be string or object, got integer"],
+  ]);
+});
+
+test("a discriminated union reports only the branch its type selects", () => {
+  const issues = schemaIssues(
+    {
+      channels: [
+        { type: "telegram", token: 1 },
+        { type: "discord", gulid: "x" },
+      ],
+    },
+    SCHEMA,
+  );
+  assert.deepEqual(brief(issues), [
+    ["channels.0.token", "must be string, got integer"],
+    ["channels.1", 'missing required property "guild"'],
+    ["channels.1.gulid", 'unknown property "gulid"'],
+  ]);
+  assert.equal(issues[2].suggestion, "guild");
+});
+
+test("enum issues suggest the closest value", () => {
+  const [issue] = schemaIssues({ mode: "fsat" }, SCHEMA);
+  assert.equal(issue.code, "invalid-value");
+  assert.equal(issue.suggestion, "fast");
+});
+
+const RAW = `{
+  // comment lines count too
+  "channels": [
+    { "type": "discord", "gulid": "x" }
+  ]
+}
+`;
+const ROOT = parseTree(RAW, [], { allowTrailingComma: true });
+
+test("locateIssue points at the value, or the key for unknown properties", () => {
+  assert.deepEqual(locateIssue(RAW, ROOT, { path: ["channels", 0, "gulid"] }), {
+    line: 4,
+    column: 35,
+  });
+  assert.deepEqual(
+    locateIssue(RAW, ROOT, { path: ["channels", 0, "gulid"], atKey: true }),
+    { line: 4, column: 26 },
+  );
+});
+
+test("locateIssue falls back to the nearest existing ancestor", () => {
+  assert.deepEqual(locateIssue(RAW, ROOT, { path: ["channels", 0, "guild"] }), {
+    line: 4,
+    column: 5,
+  });
+  assert.deepEqual(locateIssue(RAW, ROOT, { path: ["missing"] }), {
+    line: 1,
+    column: 1,
+  });
+});
+
+test("locateIssue always returns a position", () => {
+  assert.deepEqual(locateIssue("", undefined, { path: ["a"] }), {
+    line: 1,
+    column: 1,
+  });
+});